@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * YAYA Uptime CLI
+ *
+ *   yaya worker                                  run the scheduler (what the dyno runs)
+ *   yaya check-store <storeId> [--no-ping] [--dry-run]
+ *   yaya check-url <url> [--against base.png] [--out diff.png] [--screenshot shot.png]
+ *                        [--device desktop|tablet|mobile] [--threshold 5]
+ *   yaya dry-run [--all]                         one visual cycle; writes and sends nothing
+ *   yaya reset-baseline <storeId> [--dry-run]
+ *   yaya resolve-alert <alertId> accepted|rejected [--by name]
+ *   yaya gc [--delete]                           screenshot / diff retention; reports only without --delete
+ *
+ * Commands other than `worker` log in the readable format unless LOG_FORMAT is set.
+ * Exit code is 0 on success, 1 when a check failed, 2 on usage errors.
+ */
+
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const USAGE = `Usage:
+  yaya worker
+  yaya check-store <storeId> [--no-ping] [--dry-run]
+  yaya check-url <url> [--against base.png] [--out diff.png] [--screenshot shot.png] [--device desktop] [--threshold 5]
+  yaya dry-run [--all]
+  yaya reset-baseline <storeId> [--dry-run]
+  yaya resolve-alert <alertId> accepted|rejected [--by name]
+  yaya gc [--delete]`;
+
+const OPTIONS = {
+  'dry-run': { type: 'boolean', default: false },
+  'no-ping': { type: 'boolean', default: false },
+  all: { type: 'boolean', default: false },
+  delete: { type: 'boolean', default: false },
+  against: { type: 'string' },
+  out: { type: 'string' },
+  screenshot: { type: 'string' },
+  device: { type: 'string', default: 'desktop' },
+  threshold: { type: 'string' },
+  by: { type: 'string', default: 'cli' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+class UsageError extends Error {}
+
+function print(value) {
+  console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+}
+
+function requireArg(value, name) {
+  if (!value) throw new UsageError(`Missing <${name}>`);
+  return value;
+}
+
+const COMMANDS = {
+  async worker(worker) {
+    worker.startWorker();
+    return null; // keeps running
+  },
+
+  async 'check-store'(worker, [storeId], options) {
+    requireArg(storeId, 'storeId');
+    worker.init({ dryRun: options['dry-run'] });
+    const result = await worker.checkStore(storeId, { ping: !options['no-ping'] });
+    print(result);
+    return result.status === 'success' && result.isUp !== false ? 0 : 1;
+  },
+
+  async 'check-url'(worker, [url], options) {
+    requireArg(url, 'url');
+    const baseline = options.against ? await fs.readFile(options.against) : null;
+    const threshold = options.threshold != null ? Number(options.threshold) : undefined;
+    if (threshold != null && !(threshold >= 0)) throw new UsageError('--threshold must be a number');
+
+    const { screenshot, diffResult } = await worker.checkUrl(url, { baseline, device: options.device, threshold });
+
+    const screenshotPath = options.screenshot || (!baseline && 'screenshot.png');
+    if (screenshotPath) {
+      await fs.writeFile(screenshotPath, screenshot);
+      print(`Screenshot written to ${screenshotPath}`);
+    }
+    if (!diffResult) return 0;
+    if (diffResult.error) throw new Error('Comparison failed (see log above)');
+
+    if (diffResult.diffBuffer) {
+      const diffPath = options.out || `${path.basename(options.against, path.extname(options.against))}-diff.png`;
+      await fs.writeFile(diffPath, diffResult.diffBuffer);
+      print(`Diff written to ${diffPath}`);
+    }
+
+    const { diffBuffer, ...summary } = diffResult;
+    print(summary);
+    return diffResult.hasSignificantDiff || diffResult.dimensionChanged ? 1 : 0;
+  },
+
+  async 'dry-run'(worker, args, options) {
+    worker.init({ dryRun: true });
+    await worker.runVisualChecks({ all: options.all });
+    return 0;
+  },
+
+  async 'reset-baseline'(worker, [storeId], options) {
+    requireArg(storeId, 'storeId');
+    worker.init({ dryRun: options['dry-run'] });
+    const result = await worker.resetBaseline(storeId);
+    print(result);
+    return result.status === 'success' ? 0 : 1;
+  },
+
+  async 'resolve-alert'(worker, [alertId, resolution], options) {
+    requireArg(alertId, 'alertId');
+    requireArg(resolution, 'resolution');
+    worker.init();
+    await worker.resolveAlert(alertId, resolution, options.by);
+    print(`Alert ${alertId} ${resolution}`);
+    return 0;
+  },
+
+  async gc(worker, args, options) {
+    worker.init();
+    const report = await worker.runRetention({ dryRun: !options.delete });
+    print(report);
+    return report.error ? 1 : 0;
+  },
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command = 'worker', ...args] = parsed.positionals;
+  if (parsed.values.help || !COMMANDS[command]) {
+    if (!parsed.values.help) console.error(`Unknown command "${command}"\n`);
+    console.error(USAGE);
+    return parsed.values.help ? 0 : 2;
+  }
+
+  if (command !== 'worker') process.env.LOG_FORMAT ??= 'pretty';
+  const worker = require('./index');
+
+  try {
+    return await COMMANDS[command](worker, args, parsed.values);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    // null: long-running mode (the worker), leave the process alone
+    if (code !== null) process.exit(code);
+  });
+}
+
+module.exports = { main };
@@ -6,60 +6,398 @@
  * - Takes clean screenshots with bot identity
  * - Hides noise (cookies, popups, etc.)
  * - Creates Ghost Overlay diff (actual page + semi-transparent red highlights)
- * - Compares against baseline
+ * - Compares against baseline (rolling + last approved, versioned in baseline_history)
+ * - Applies accept/reject decisions on alerts (promote baseline / mute signature)
+ * - Walks per-store journeys (homepage → product → cart → checkout), one baseline per step
+ *   and device profile (desktop / tablet / mobile)
  * - Saves alerts to Supabase with diff_url
- * - Sends rich emails with before/after + highlighted diff
+ * - Records navigation timing, LCP, CLS, TBT, page weight and requests per navigate step and
+ *   alerts when a metric regresses past a factor of the step's rolling median
+ * - Collects JS errors, console errors, failed / 4xx-5xx requests and broken images per run
+ *   (minus per-store ignored domains) and alerts on ones the previous run didn't have
+ * - Snapshots visible text, key elements (price, add to cart, title), links and per-store
+ *   watch rules next to each screenshot; content changes are listed in alerts or raise their own
+ * - Sends rich emails with before/after + highlighted diff (escaped templates, HTML + text,
+ *   unsubscribe link) and opt-in daily / weekly digests
+ * - Routes alerts to per-user channels (email, signed webhooks, Slack, Discord, Teams, SMS)
+ *   and retries failed deliveries with backoff (notification_deliveries)
  * - Logs risk metrics to check_logs table (Mission 2.10.1)
+ * - Claims every store check through a lease (check_leases), so several worker dynos can run at once
+ * - Per-store maintenance windows (one-off or weekly, with timezone): checks run and are logged,
+ *   alerts and failure counting pause, baselines can be re-captured afterwards; per-user
+ *   quiet hours hold non-red notifications until they end
+ * - Classifies failures (DNS, connection, TLS, timeout, HTTP status, bot wall, worker-side),
+ *   retries transient ones, warns before deactivating a store and re-probes it until it's back
+ * - Serves /healthz, /status and Prometheus /metrics; logs one JSON object per line
+ * - Prunes old routine screenshots and diffs per plan (keeps baselines and alert images)
+ *   and deleted stores' objects; report-only until RETENTION_DRY_RUN=false
  * 
- * Run the SQL migration once before starting.
+ * Run the SQL migration once before starting. Start it with `node cli.js worker`
+ * (see cli.js for one-off checks, dry runs and baseline resets); requiring this
+ * module only defines things — init() / startWorker() do the work.
  * 
  * Last major update: February 26, 2026
  */
 
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 
+const crypto = require('crypto');
 const cron = require('node-cron');
 const { createClient } = require('@supabase/supabase-js');
-const puppeteer = require('puppeteer');
-const { S3Client, GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { PNG } = require('pngjs');
 const { Resend } = require('resend');
 const pixelmatch = require('pixelmatch').default || require('pixelmatch');
 const sharp = require('sharp');
+const { normalizeJourney, runStep } = require('./lib/journeys');
+const { planCycle } = require('./lib/scheduler');
+const { runPool } = require('./lib/pool');
+const { createLeaseManager } = require('./lib/leases');
+const { createBrowserManager } = require('./lib/browser');
+const { createStorage } = require('./lib/storage');
+const { normalizeMasking, applyMasking, applyIgnoreRegions } = require('./lib/masking');
+const { detectRegions, weightedDiffPercentage } = require('./lib/regions');
+const { describeHeightChange, alignHeights, alignRegions } = require('./lib/heights');
+const { alertSignature, contentSignature, issuesSignature } = require('./lib/signatures');
+const { normalizeWatchRules, rulesForStep, captureContent, diffContent, summarizeChanges } = require('./lib/content');
+const { METRICS: PERF_METRICS, startPerfCapture, findRegressions } = require('./lib/perf');
+const { normalizeIgnoredDomains, startIssueCapture, compareIssues } = require('./lib/page-issues');
+const { normalizeMaintenanceWindows, activeWindow } = require('./lib/maintenance');
+const { PRESETS, normalizeViewports, applyViewport, baselineKey, foldHeight } = require('./lib/viewports');
+const { nextReminderAt, uptimePercentage, formatDuration } = require('./lib/incidents');
+const { normalizeHttpCheck, runHttpCheck, inspectCertificate } = require('./lib/http-check');
+const { CheckFailure, markWorkerFault, describeFailure, nextProbeAt } = require('./lib/failures');
+const { withRetries } = require('./lib/retry');
+const { PREFIXES: RETENTION_PREFIXES, loadPolicies, policyFor, planRetention, assertCompleteStoreList, formatBytes } = require('./lib/retention');
+const { createChannels, createSmsProvider } = require('./lib/channels');
+const { createNotifier } = require('./lib/notifier');
+const { createEmailTemplates } = require('./lib/emails');
+const { createLogger } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+const { createCycleTracker, createStatusServer } = require('./lib/health');
+const { createDryRunSupabase, createDryRunStorage, createDryRunChannels } = require('./lib/dry-run');
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+// ────────────────────────────────────────────────
+// Observability — JSON logs, cycle health, Prometheus metrics
+// ────────────────────────────────────────────────
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const VISUAL_TICK_MINUTES = Number(process.env.VISUAL_TICK_MINUTES) || 5;
+const STATUS_PORT = Number(process.env.STATUS_PORT || process.env.PORT || 9090);
 
-const s3 = new S3Client({
-  region: 'auto',
-  endpoint: `https://${process.env.CLOUDFLARE_ACCOUNT_ID}.r2.cloudflarestorage.com`,
-  credentials: {
-    accessKeyId: process.env.CLOUDFLARE_ACCESS_KEY_ID,
-    secretAccessKey: process.env.CLOUDFLARE_SECRET_ACCESS_KEY,
+// Unhealthy once a cycle kind misses about two of its ticks
+const cycles = createCycleTracker({
+  windows: {
+    visual: 2.5 * VISUAL_TICK_MINUTES * 60 * 1000,
+    ping: 2.5 * 5 * 60 * 1000,
   },
 });
 
-const R2_PUBLIC_URL = process.env.R2_PUBLIC_URL || 'https://pub-9b659287417143e2a5f69b43384c4039.r2.dev';
+const logger = createLogger({
+  format: process.env.LOG_FORMAT || 'json',
+  base: { service: 'yaya-worker' },
+  onError: (entry) => cycles.recordError(entry),
+});
+
+const registry = createRegistry({ prefix: 'yaya_' });
+
+const metrics = {
+  cycleDuration: registry.histogram({
+    name: 'cycle_duration_seconds',
+    help: 'Duration of check cycles',
+    labelNames: ['kind'],
+  }),
+  cycleLastCompleted: registry.gauge({
+    name: 'cycle_last_completed_timestamp_seconds',
+    help: 'Unix time the last cycle of each kind completed without error',
+    labelNames: ['kind'],
+  }),
+  queueDepth: registry.gauge({
+    name: 'cycle_queue_depth',
+    help: 'Stores still waiting in the running cycle',
+    labelNames: ['kind'],
+  }),
+  checkDuration: registry.histogram({
+    name: 'check_duration_seconds',
+    help: 'Duration of a single store check',
+    labelNames: ['kind', 'result'],
+  }),
+  diffPercentage: registry.histogram({
+    name: 'diff_percentage',
+    help: 'Visual diff percentage per compared step',
+    labelNames: ['device'],
+    buckets: [0.1, 0.5, 1, 2, 5, 10, 20, 50, 100],
+  }),
+  pingLatency: registry.histogram({
+    name: 'ping_latency_seconds',
+    help: 'HTTP check response time',
+    labelNames: ['result'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 3, 5, 10],
+  }),
+  alerts: registry.counter({
+    name: 'alerts_total',
+    help: 'Alerts raised, by type and severity',
+    labelNames: ['type', 'severity'],
+  }),
+  notifications: registry.counter({
+    name: 'notifications_total',
+    help: 'Notification delivery attempts, by channel and outcome',
+    labelNames: ['channel', 'status'],
+  }),
+  dependencyDuration: registry.histogram({
+    name: 'dependency_duration_seconds',
+    help: 'Latency of calls to Supabase, storage and the browser backend',
+    labelNames: ['dependency'],
+  }),
+  dependencyErrors: registry.counter({
+    name: 'dependency_errors_total',
+    help: 'Failed calls to Supabase, storage and the browser backend',
+    labelNames: ['dependency'],
+  }),
+  pageLoad: registry.histogram({
+    name: 'page_load_seconds',
+    help: 'Page load time (loadEventEnd) measured during visual checks',
+    labelNames: ['device'],
+  }),
+  retentionDeleted: registry.counter({
+    name: 'retention_deleted_bytes_total',
+    help: 'Bytes of screenshots and diffs deleted by the retention job',
+  }),
+};
+
+/**
+ * Times `fn` against a dependency; throws, and results `isError` flags, count as errors.
+ * Thrown errors are tagged as worker faults so they never count against a store.
+ */
+async function trackDependency(dependency, fn, isError = () => false) {
+  const end = metrics.dependencyDuration.startTimer({ dependency });
+  try {
+    const result = await fn();
+    if (isError(result)) metrics.dependencyErrors.inc({ dependency });
+    return result;
+  } catch (err) {
+    metrics.dependencyErrors.inc({ dependency });
+    throw markWorkerFault(err, dependency);
+  } finally {
+    end();
+  }
+}
+
+// Branding and links for every email; APP_BASE_URL points at the dashboard
+const emails = createEmailTemplates({
+  brandName: process.env.BRAND_NAME || 'YAYA Uptime',
+  tagline: process.env.BRAND_TAGLINE || 'Visual Store Monitoring',
+  logoUrl: process.env.BRAND_LOGO_URL || null,
+  appUrl: process.env.APP_BASE_URL || 'https://www.yayauptime.com',
+  unsubscribeSecret: process.env.UNSUBSCRIBE_SECRET || null,
+});
+
+// ────────────────────────────────────────────────
+// Clients — created by init(), so requiring this module has no side effects
+// ────────────────────────────────────────────────
+
+let resend;
+let supabase;
+let leases;
+let storage;
+let notifier;
+
+function dryRunWrite(target, action, details) {
+  log(`[dry-run] skipped ${target} ${action}`, { dry_run: true, details });
+}
+
+/**
+ * Creates the Supabase, storage and notification clients. With `dryRun`, every
+ * write (rows, screenshots, notifications) is logged and dropped while reads
+ * still go to the real services.
+ */
+function init(options = {}) {
+  if (supabase) return;
+
+  // Optional so dry runs and one-off checks work without email credentials
+  resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+  // Every PostgREST / auth call goes through this fetch, so Supabase errors are counted in one place
+  supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY,
+    {
+      global: {
+        fetch: (input, init) => trackDependency('supabase', () => fetch(input, init), (res) => res.status >= 500),
+      },
+    }
+  );
+
+  // Screenshot storage: 's3' (R2 or any S3-compatible provider) or 'local' disk
+  storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 's3',
+    endpoint: process.env.STORAGE_ENDPOINT ||
+      (process.env.CLOUDFLARE_ACCOUNT_ID && `https://${process.env.CLOUDFLARE_ACCOUNT_ID}.r2.cloudflarestorage.com`),
+    region: process.env.STORAGE_REGION || 'auto',
+    bucket: process.env.STORAGE_BUCKET || 'yaya-screenshots',
+    accessKeyId: process.env.STORAGE_ACCESS_KEY_ID || process.env.CLOUDFLARE_ACCESS_KEY_ID,
+    secretAccessKey: process.env.STORAGE_SECRET_ACCESS_KEY || process.env.CLOUDFLARE_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.STORAGE_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.STORAGE_PUBLIC_URL || process.env.R2_PUBLIC_URL || undefined,
+    // Earlier public bases (comma-separated) whose URLs are still stored in Supabase
+    legacyPublicUrls: (process.env.STORAGE_LEGACY_PUBLIC_URLS || '').split(',').map((u) => u.trim()).filter(Boolean),
+    dir: process.env.STORAGE_LOCAL_DIR || './storage',
+  });
+
+  // Alert delivery: email, webhooks, Slack / Discord / Teams and SMS (notification_channels)
+  let channels = createChannels({
+    resend,
+    emailFrom: process.env.ALERT_EMAIL_FROM || `${process.env.BRAND_NAME || 'YAYA Uptime'} <alerts@yayauptime.com>`,
+    smsProvider: createSmsProvider({
+      provider: process.env.SMS_PROVIDER,
+      twilioAccountSid: process.env.TWILIO_ACCOUNT_SID,
+      twilioAuthToken: process.env.TWILIO_AUTH_TOKEN,
+      twilioFrom: process.env.TWILIO_FROM,
+      webhookUrl: process.env.SMS_WEBHOOK_URL,
+    }),
+  });
+
+  if (options.dryRun) {
+    supabase = createDryRunSupabase(supabase, { onWrite: dryRunWrite });
+    storage = createDryRunStorage(storage, { onWrite: dryRunWrite });
+    channels = createDryRunChannels({ onWrite: dryRunWrite });
+  }
+
+  leases = createLeaseManager(supabase);
+
+  notifier = createNotifier({
+    supabase,
+    channels,
+    log,
+    logError,
+    onDelivery: (channel, status) => metrics.notifications.inc({ channel, status }),
+  });
+}
+
 const DIFF_THRESHOLD_PERCENT = 5;
-const MAX_FAILURES_BEFORE_INACTIVE = 5;
+const RED_ALERT_PERCENT = 20;
+
+// Full-page height change (either way) that alerts by itself, and shrinkage that makes it red
+const HEIGHT_CHANGE_THRESHOLD_PERCENT = Number(process.env.HEIGHT_CHANGE_THRESHOLD_PERCENT) || 15;
+const HEIGHT_SHRINK_RED_PERCENT = 40;
+
+// Gradual drift: change against the last approved baseline (not just the previous run) that alerts
+const DRIFT_THRESHOLD_PERCENT = Number(process.env.DRIFT_THRESHOLD_PERCENT) || 15;
+
+// Changes in the first viewport count this many times more towards alert severity
+const ABOVE_FOLD_WEIGHT = Number(process.env.ABOVE_FOLD_WEIGHT) || 2;
+const MAX_ALERT_REGIONS = 20;
 
-let isRunningVisual = false;
-let isRunningPing = false;
+// Consecutive store-side failures (see lib/failures.js) before a store is deactivated;
+// the owner is warned a couple of checks ahead
+const MAX_FAILURES_BEFORE_INACTIVE = 5;
+const DEACTIVATION_WARNING_AT = MAX_FAILURES_BEFORE_INACTIVE - 2;
+
+// In-cycle retries for transient failures (navigation, browser / storage hiccups)
+const RETRY_DELAYS_MS = [2000, 8000];
+
+// Consecutive failed pings that open a DOWN incident
+const INCIDENT_FAILURE_THRESHOLD = Math.max(1, Number(process.env.INCIDENT_FAILURE_THRESHOLD) || 2);
+
+// Certificates are inspected at most this often per store (in-process cache)
+const TLS_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const tlsCheckedAt = new Map();
+
+// The visual cron ticks often; stores are only checked when their own interval is due
+const VISUAL_CYCLE_BUDGET_MS = VISUAL_TICK_MINUTES * 60 * 1000 * 0.9;
+const PING_CYCLE_BUDGET_MS = 5 * 60 * 1000 * 0.9;
+
+// Browser backend: 'browserless' (default), 'local' Chromium or any 'cdp' endpoint
+const BROWSER_CONFIG = {
+  backend: process.env.BROWSER_BACKEND || 'browserless',
+  browserlessEndpoint: process.env.BROWSERLESS_ENDPOINT || 'wss://chrome.browserless.io',
+  browserlessApiKey: process.env.BROWSERLESS_API_KEY,
+  cdpEndpoint: process.env.BROWSER_CDP_ENDPOINT,
+  executablePath: process.env.CHROME_PATH,
+  maxPages: Number(process.env.BROWSER_MAX_PAGES) || 5,
+  recycleAfter: Number(process.env.BROWSER_RECYCLE_AFTER) || 50,
+};
+
+// Pages open at once across browsers / pings in flight, and per-store hard timeouts
+const VISUAL_CONCURRENCY = Number(process.env.VISUAL_CONCURRENCY) || 3;
+const PING_CONCURRENCY = Number(process.env.PING_CONCURRENCY) || 10;
+const VISUAL_STORE_TIMEOUT_MS = Number(process.env.VISUAL_STORE_TIMEOUT_MS) || 3 * 60 * 1000;
+const PING_STORE_TIMEOUT_MS = Number(process.env.PING_STORE_TIMEOUT_MS) || 20000;
+
+// Rolling average of one visual check — seeds the cycle capacity estimate
+let avgVisualCheckMs = 60000;
+
+// Store checks are claimed through leases so several worker dynos can run side by side.
+// Pings keep their lease for a cooldown so a later-starting dyno doesn't ping the same store again.
+const VISUAL_LEASE_TTL_MS = 90 * 1000;
+const PING_LEASE_TTL_MS = 60 * 1000;
+const PING_COOLDOWN_MS = 4 * 60 * 1000;
+
+// Digests go out at DIGEST_HOUR (UTC); weekly ones on DIGEST_WEEKDAY (0 = Sunday)
+const DIGEST_HOUR = Number(process.env.DIGEST_HOUR ?? 8);
+const DIGEST_WEEKDAY = Number(process.env.DIGEST_WEEKDAY ?? 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Performance regressions (lib/perf.js): a metric alerts at PERF_REGRESSION_FACTOR × the
+// median of the step's last PERF_BASELINE_SAMPLES samples (per store: stores.perf_regression_factor)
+const PERF_REGRESSION_FACTOR = Number(process.env.PERF_REGRESSION_FACTOR) || 1.5;
+const PERF_BASELINE_SAMPLES = 10;
+const PERF_MIN_SAMPLES = 5;
+
+// Screenshot / diff retention (lib/retention.js). It only reports what it would
+// delete until RETENTION_DRY_RUN=false; `yaya gc --delete` runs it for real once.
+const RETENTION_HOUR = Number(process.env.RETENTION_HOUR ?? 3);
+const RETENTION_DRY_RUN = process.env.RETENTION_DRY_RUN !== 'false';
+const RETENTION_GRACE_MS = Number(process.env.RETENTION_GRACE_HOURS ?? 24) * 60 * 60 * 1000;
+const RETENTION_CONCURRENCY = 2;
+const RETENTION_LEASE_TTL_MS = 5 * 60 * 1000;
+// Held after a store is pruned so other dynos skip it in the same nightly run
+const RETENTION_HOLD_MS = 6 * 60 * 60 * 1000;
 
 // ────────────────────────────────────────────────
 // Logging Helpers
 // ────────────────────────────────────────────────
 
-function log(msg) {
-  console.log(`[YAYA] ${msg}`);
+function log(msg, fields) {
+  logger.log(msg, fields);
+}
+
+function logError(msg, fields) {
+  logger.logError(msg, fields);
+}
+
+function logCycleSummary(kind, summary, deferred = 0) {
+  const { total, succeeded, failed, timedOut, skipped, durationMs } = summary;
+  log(
+    `${kind} cycle finished in ${Math.round(durationMs / 1000)}s: ` +
+    `${succeeded}/${total} ok, ${failed} failed (${timedOut} timed out), ${skipped + deferred} skipped`,
+    { summary: { ...summary, deferred } }
+  );
+}
+
+/**
+ * Closes a tracked cycle: updates /healthz, /status and the cycle metrics.
+ */
+function finishCycle(cycle) {
+  const result = cycles.finish(cycle);
+  const kind = cycle.kind;
+  metrics.cycleDuration.observe({ kind }, result.durationMs / 1000);
+  if (!result.error) metrics.cycleLastCompleted.set({ kind }, Math.round(Date.parse(result.completedAt) / 1000));
+  metrics.queueDepth.set({ kind }, 0);
 }
 
-function logError(msg) {
-  console.error(`[YAYA] ERROR: ${msg}`);
+// Runs one store check of a cycle with store / run IDs on every log line
+function trackCheck(cycle, store, fn) {
+  const end = metrics.checkDuration.startTimer({ kind: cycle.kind });
+  return logger.withContext({ cycle: cycle.kind, cycle_id: cycle.id, store_id: store.id, run_id: crypto.randomUUID() }, async () => {
+    let result;
+    try {
+      result = await fn();
+      return result;
+    } finally {
+      cycle.done++;
+      metrics.queueDepth.set({ kind: cycle.kind }, Math.max(0, cycle.queued - cycle.done));
+      end({ result: result === null ? 'skipped' : result === false ? 'failed' : result === undefined ? 'error' : 'ok' });
+    }
+  });
 }
 
 // ────────────────────────────────────────────────
@@ -70,61 +408,80 @@ function ensureHttps(url) {
   return url.startsWith('http') ? url : `https://${url}`;
 }
 
-async function uploadToR2(buffer, key) {
+// PostgREST caps responses at 1000 rows, so page through long histories
+async function selectAllRows(buildQuery, pageSize = 1000) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+async function uploadImage(buffer, key) {
   const compressed = await sharp(buffer)
     .png({ quality: 80, compressionLevel: 9 })   // ← optimized for smaller diffs
     .toBuffer();
 
-  await s3.send(
-    new PutObjectCommand({
-      Bucket: 'yaya-screenshots',
-      Key: key,
-      Body: compressed,
-      ContentType: 'image/png',
-      CacheControl: 'public, max-age=31536000',
-    })
-  );
-  return `${R2_PUBLIC_URL}/${key}`;
+  return trackDependency('storage', () => storage.put(key, compressed, {
+    contentType: 'image/png',
+    cacheControl: 'public, max-age=31536000',
+  }));
 }
 
-async function downloadFromR2(key) {
+// null only when the object doesn't exist — a storage outage throws (as a worker fault)
+// instead of looking like a missing baseline
+async function downloadImage(key) {
   if (!key) return null;
-  try {
-    const { Body } = await s3.send(new GetObjectCommand({ Bucket: 'yaya-screenshots', Key: key }));
-    const chunks = [];
-    for await (const chunk of Body) chunks.push(Buffer.from(chunk));
-    return Buffer.concat(chunks);
-  } catch (err) {
-    logError(`R2 download failed for ${key}: ${err.message}`);
-    return null;
-  }
-}
-
-function extractR2Key(publicUrl) {
-  if (!publicUrl) return null;
-  try {
-    return new URL(publicUrl).pathname.substring(1);
-  } catch {
-    return null;
-  }
+  return withRetries(() => trackDependency('storage', () => storage.get(key)), {
+    delaysMs: RETRY_DELAYS_MS,
+    onRetry: (err, attempt) => logError(`Storage download failed for ${key} (retry ${attempt}): ${err.message}`),
+  });
 }
 
 /**
  * Optimized Ghost Overlay compareImages (Mission 2.7)
  * Creates actual page + semi-transparent red highlights on changed areas.
  * Uses aggressive Sharp compression for tiny file sizes (~300-600 KB).
+ * Also clusters the diff into changed regions and scores them with above-the-fold weighting.
  */
-async function compareImages(baselineBuffer, newBuffer, id, timestamp) {
+async function compareImages(baselineBuffer, newBuffer, {
+  id,
+  timestamp,
+  step = 'homepage',
+  label = step,
+  ignoreRegions = [],
+  device = 'desktop',
+  foldY = PRESETS.desktop.height,
+  threshold = DIFF_THRESHOLD_PERCENT,
+  uploadDiff = 'always', // 'significant' skips the upload when nothing will reference it; 'never' for local runs
+  keepDiff = false,      // also return the diff image as `diffBuffer`
+}) {
   try {
-    const baselinePng = PNG.sync.read(baselineBuffer);
-    const newPng = PNG.sync.read(newBuffer);
-    const { width, height } = baselinePng;
+    let baselinePng = PNG.sync.read(baselineBuffer);
+    let newPng = PNG.sync.read(newBuffer);
 
-    if (width !== newPng.width || height !== newPng.height) {
-      log(`Dimension change: ${width}x${height} → ${newPng.width}x${newPng.height}`);
+    // A different width means a different viewport — nothing lines up any more
+    if (baselinePng.width !== newPng.width) {
+      log(`Width change: ${baselinePng.width}px → ${newPng.width}px`);
       return { hasSignificantDiff: false, dimensionChanged: true };
     }
 
+    // Different heights: compare everything but the inserted/removed band and report the height change itself
+    let heightChange = null;
+    if (baselinePng.height !== newPng.height) {
+      heightChange = describeHeightChange(baselinePng, newPng);
+      log(`Height change: ${heightChange.from}px → ${heightChange.to}px (${heightChange.deltaPercentage}%) at y=${heightChange.bandY}`);
+      ({ baselinePng, newPng } = alignHeights(baselinePng, newPng, heightChange));
+      ignoreRegions = alignRegions(ignoreRegions, heightChange);
+    }
+
+    const { width, height } = baselinePng;
+
+    const ignoredPixels = applyIgnoreRegions(baselinePng, newPng, ignoreRegions, { step, device });
+    const comparedPixels = Math.max(1, width * height - ignoredPixels);
+
     const diff = new PNG({ width, height });
 
     const numDiffPixels = pixelmatch(baselinePng.data, newPng.data, diff.data, width, height, {
@@ -132,28 +489,51 @@ async function compareImages(baselineBuffer, newBuffer, id, timestamp) {
       alpha: 0.5,
     });
 
-    const diffPercentage = (numDiffPixels / (width * height)) * 100;
+    const diffPercentage = (numDiffPixels / comparedPixels) * 100;
+
+    const regions = detectRegions(diff, { foldY, comparedPixels });
+    const weightedPercentage = weightedDiffPercentage(regions, {
+      foldY,
+      comparedPixels,
+      aboveFoldWeight: ABOVE_FOLD_WEIGHT,
+    });
 
-    const rawDiffBuffer = PNG.sync.write(diff);
+    const heightAlert = !!heightChange && Math.abs(heightChange.deltaPercentage) > HEIGHT_CHANGE_THRESHOLD_PERCENT;
+    const hasSignificantDiff = diffPercentage > threshold || heightAlert;
+
+    let diffUrl = null;
+    let diffBuffer = null;
+    const upload = uploadDiff === 'always' || (uploadDiff === 'significant' && hasSignificantDiff);
+    if (upload || keepDiff) {
+      const rawDiffBuffer = PNG.sync.write(diff);
+
+      const optimizedDiffBuffer = await sharp(rawDiffBuffer)
+        .png({
+          compressionLevel: 9,
+          adaptiveFiltering: true,
+          palette: true,
+          quality: 80
+        })
+        .toBuffer();
 
-    const optimizedDiffBuffer = await sharp(rawDiffBuffer)
-      .png({
-        compressionLevel: 9,
-        adaptiveFiltering: true,
-        palette: true,
-        quality: 80
-      })
-      .toBuffer();
+      if (keepDiff) diffBuffer = optimizedDiffBuffer;
 
-    const diffKey = `diffs/${id}/${timestamp}-diff.png`;
-    const diffUrl = await uploadToR2(optimizedDiffBuffer, diffKey);
+      if (upload) {
+        const diffKey = `diffs/${id}/${timestamp}-${label}-diff.png`;
+        diffUrl = await uploadImage(optimizedDiffBuffer, diffKey);
 
-    log(`Ghost overlay uploaded: ${diffPercentage.toFixed(2)}% (${(optimizedDiffBuffer.length / 1024).toFixed(1)} KB)`);
+        log(`Ghost overlay uploaded: ${diffPercentage.toFixed(2)}% in ${regions.length} regions (${(optimizedDiffBuffer.length / 1024).toFixed(1)} KB)`);
+      }
+    }
 
     return {
-      hasSignificantDiff: diffPercentage > DIFF_THRESHOLD_PERCENT,
+      hasSignificantDiff,
       diffPercentage: Math.round(diffPercentage * 100) / 100,
-      diffUrl
+      heightChange,
+      weightedPercentage,
+      regions: regions.slice(0, MAX_ALERT_REGIONS),
+      diffUrl,
+      ...(keepDiff && { diffBuffer }),
     };
   } catch (err) {
     logError(`Comparison failed: ${err.message}`);
@@ -162,439 +542,1919 @@ async function compareImages(baselineBuffer, newBuffer, id, timestamp) {
 }
 
 // ────────────────────────────────────────────────
-// Alert Email (Mission 2.9)
+// Alerts (Mission 2.9) — rendered once, delivered to every channel
 // ────────────────────────────────────────────────
 
-async function sendAlertEmail(alert, type = 'visual') {
+// Resolves true once the alert was routed; false when suppressed or delivery failed
+async function sendAlert(alert, type = 'visual') {
   try {
     const { data: store } = await supabase
       .from('stores')
-      .select('url, user_id')
+      .select('id, url, user_id, maintenance_windows')
       .eq('id', alert.store_id)
       .single();
 
-    if (!store?.user_id) return;
+    if (!store?.user_id) return false;
 
-    const { data: { user } } = await supabase.auth.admin.getUserById(store.user_id);
-    if (!user?.email) return;
-
-    let subject, html;
-
-    if (type === 'ping') {
-      subject = `🚨 Your store is DOWN: ${store.url}`;
-      html = `
-        <h1 style="color:#ef4444;">Site Down Alert</h1>
-        <p>Your store <strong><a href="${store.url}">${store.url}</a></strong> has been unreachable for multiple checks.</p>
-        <p>Please check your hosting/server immediately.</p>
-        <p><a href="https://www.yayauptime.com/dashboard" style="display:inline-block; background:#ef4444; color:white; padding:16px 32px; text-decoration:none; border-radius:8px; font-weight:bold;">View in Dashboard</a></p>
-        <p style="color:#666; font-size:13px; margin-top:30px;">YAYA Uptime • Visual Store Monitoring</p>
-      `;
-    } else {
-      subject = `🚨 Visual change on ${store.url} – ${alert.diff_percentage}%`;
-      html = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>YAYA Uptime Alert</title>
-  <style>
-    body { background:#0a0a0a; color:#fff; font-family:system-ui,sans-serif; margin:0; padding:0; }
-    .container { max-width:600px; margin:40px auto; padding:20px; }
-    .header { background:#111; padding:20px; text-align:center; border-radius:8px 8px 0 0; }
-    .content { background:#1a1a1a; padding:30px; border-radius:0 0 8px 8px; }
-    h1 { color:#ef4444; margin:0 0 20px; }
-    .diff { font-size:26px; font-weight:bold; color:#f59e0b; }
-    .screenshots { display:flex; gap:20px; flex-wrap:wrap; margin:25px 0; }
-    .screenshot { max-width:100%; border:3px solid #333; border-radius:8px; }
-    .cta { display:inline-block; background:#ef4444; color:white; padding:16px 32px; text-decoration:none; border-radius:8px; font-weight:bold; font-size:16px; margin-top:20px; }
-    .cta:hover { background:#f87171; }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header"><h1>🚨 YAYA Uptime Alert</h1></div>
-    <div class="content">
-      <p><strong>Store:</strong> <a href="${store.url}" style="color:#60a5fa;">${store.url}</a></p>
-      <p class="diff">Visual change detected: ${alert.diff_percentage}%</p>
-      <div class="screenshots">
-        <div><p><strong>Before</strong></p><img src="${alert.before_url}" class="screenshot" alt="Before"></div>
-        <div><p><strong>After</strong></p><img src="${alert.after_url}" class="screenshot" alt="After"></div>
-        ${alert.diff_url ? `<div><p><strong>Highlighted Diff</strong></p><img src="${alert.diff_url}" class="screenshot" alt="Diff"></div>` : ''}
-      </div>
-      <a href="https://www.yayauptime.com/dashboard/alerts/${alert.id}" class="cta">VIEW IN DASHBOARD →</a>
-      <p style="margin-top:30px; color:#666; font-size:13px;">YAYA Uptime • Visual Store Monitoring</p>
-    </div>
-  </div>
-</body>
-</html>`;
+    const maintenance = maintenanceWindow(store);
+    if (maintenance) {
+      log(`Alert ${type} for ${store.id} suppressed — maintenance window until ${maintenance.endsAt.toISOString()}`);
+      return false;
     }
 
-    await resend.emails.send({
-      from: 'YAYA Uptime <alerts@yayauptime.com>',
-      to: user.email,
-      subject,
-      html,
-    });
+    const { data: { user } } = await supabase.auth.admin.getUserById(store.user_id);
+
+    const message = {
+      type,
+      severity: notificationSeverity(alert, type),
+      ...emails.alert(type, { store, alert, userId: store.user_id }),
+      store: { id: store.id, url: store.url },
+      alert: alert.id
+        ? {
+          id: alert.id,
+          step: alert.step,
+          device: alert.device,
+          diff_percentage: alert.diff_percentage,
+          text_changes: alert.text_changes ?? null,
+          perf_regressions: alert.perf_regressions ?? null,
+          page_issues: alert.page_issues ?? null,
+        }
+        : null,
+    };
 
-    log(`Alert email sent to ${user.email} (${type})`);
+    metrics.alerts.inc({ type, severity: message.severity });
+
+    const sent = await notifier.dispatch({ store, ownerEmail: user?.email, message });
+    log(`Alert ${type} (${message.severity}) routed to ${sent} channel(s)`);
+    return true;
+  } catch (err) {
+    logError(`Alert delivery failed: ${err.message}`);
+    return false;
+  }
+}
+
+function notificationSeverity(alert, type) {
+  if (type === 'recovery' || type === 'reactivated') return 'info';
+  if (type === 'deactivation_warning') return 'yellow';
+  if (type === 'tls_expiry') return alert.certificate.daysLeft < 0 ? 'red' : 'yellow';
+  if (['visual', 'content', 'performance', 'page_issues'].includes(type)) return alert.type === 'red' ? 'red' : 'yellow';
+  return 'red';
+}
+
+async function runDeliveryRetries() {
+  try {
+    await notifier.retryDue();
   } catch (err) {
-    logError(`Email send failed: ${err.message}`);
+    logError(`Delivery retry error: ${err.message}`);
   }
 }
 
 // ────────────────────────────────────────────────
-// Ping Monitor (Mission 2.4.1)
+// Digests
 // ────────────────────────────────────────────────
 
-async function pingStore(store) {
-  const { id, url } = store;
-  const fullUrl = ensureHttps(url);
-  log(`Ping: ${id} - ${fullUrl}`);
-
-  const startTime = Date.now();
-  let statusCode = null;
-  let responseTimeMs = null;
-  let isUp = false;
-  let errorMsg = null;
+/**
+ * Opt-in summaries per email channel: `config.digest` = 'daily' | 'weekly'.
+ * Paired with `severities = {red}` it replaces real-time yellow emails.
+ * `notification_channels.last_digest_at` is claimed before sending, so each
+ * period goes out once even with several workers.
+ */
+async function summarizeStore(store, from, to) {
+  const fromIso = from.toISOString();
+  const toIso = to.toISOString();
+  const count = (query) => query.then(({ count: n, error }) => {
+    if (error) throw error;
+    return n ?? 0;
+  });
 
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
+  const [incidentsRes, alertsRes, pings, failedPings, runs, failedRuns] = await Promise.all([
+    supabase
+      .from('incidents')
+      .select('started_at, resolved_at')
+      .eq('store_id', store.id)
+      .lt('started_at', toIso)
+      .or(`resolved_at.is.null,resolved_at.gte.${fromIso}`),
+    supabase
+      .from('alerts')
+      .select('type, kind')
+      .eq('store_id', store.id)
+      .gte('created_at', fromIso)
+      .lt('created_at', toIso),
+    count(supabase.from('ping_logs').select('id', { count: 'exact', head: true })
+      .eq('store_id', store.id).gte('checked_at', fromIso).lt('checked_at', toIso)),
+    count(supabase.from('ping_logs').select('id', { count: 'exact', head: true })
+      .eq('store_id', store.id).eq('is_up', false).gte('checked_at', fromIso).lt('checked_at', toIso)),
+    count(supabase.from('runs').select('id', { count: 'exact', head: true })
+      .eq('store_id', store.id).gte('started_at', fromIso).lt('started_at', toIso)),
+    count(supabase.from('runs').select('id', { count: 'exact', head: true })
+      .eq('store_id', store.id).neq('status', 'success').gte('started_at', fromIso).lt('started_at', toIso)),
+  ]);
+
+  if (incidentsRes.error) throw incidentsRes.error;
+  if (alertsRes.error) throw alertsRes.error;
+
+  const visual = alertsRes.data.filter((a) => a.kind !== 'step_failure');
+  return {
+    url: store.url,
+    uptime: uptimePercentage(incidentsRes.data, { from: from.getTime(), to: to.getTime() }),
+    incidents: incidentsRes.data.length,
+    pings,
+    failedPings,
+    runs,
+    failedRuns,
+    visualChanges: visual.length,
+    redAlerts: visual.filter((a) => a.type === 'red').length,
+  };
+}
 
-    const response = await fetch(fullUrl, {
-      method: 'HEAD',
-      signal: controller.signal,
-      redirect: 'follow',
-    });
+async function sendDigest(channel, period, now) {
+  const from = new Date(now.getTime() - (period === 'weekly' ? 7 : 1) * DAY_MS);
 
-    clearTimeout(timeoutId);
+  let query = supabase.from('stores').select('id, url').eq('user_id', channel.user_id);
+  if (channel.store_id) query = query.eq('id', channel.store_id);
+  const { data: stores, error } = await query;
+  if (error) throw error;
+  if (!stores.length) return;
 
-    statusCode = response.status;
-    responseTimeMs = Date.now() - startTime;
-    isUp = statusCode >= 200 && statusCode < 300;
+  let email = channel.config.email;
+  if (!email) {
+    const { data: { user } } = await supabase.auth.admin.getUserById(channel.user_id);
+    email = user?.email;
+  }
+  if (!email) return;
 
-    log(`Ping ${fullUrl} – ${statusCode} (${responseTimeMs}ms)`);
-  } catch (err) {
-    responseTimeMs = Date.now() - startTime;
-    errorMsg = err.message || 'Unknown error';
-    isUp = false;
+  const summaries = [];
+  for (const store of stores) summaries.push(await summarizeStore(store, from, now));
 
-    logError(`Ping failed ${fullUrl}: ${errorMsg}`);
-  }
+  const message = {
+    type: 'digest',
+    severity: 'info',
+    ...emails.digest({ period, from, to: now, stores: summaries, userId: channel.user_id }),
+  };
 
-  await supabase.from('ping_logs').insert({
-    store_id: id,
-    status_code: statusCode,
-    response_time_ms: responseTimeMs,
-    is_up: isUp,
-    error_message: errorMsg,
+  await notifier.deliver({ ...channel, config: { ...channel.config, email } }, message, {
+    storeId: channel.store_id,
+    userId: channel.user_id,
   });
+}
 
-  if (!isUp) {
-    const { data: lastPing } = await supabase
-      .from('ping_logs')
-      .select('is_up')
-      .eq('store_id', id)
-      .order('checked_at', { ascending: false })
-      .limit(1);
+async function runDigests() {
+  const now = new Date();
+  const periods = now.getUTCDay() === DIGEST_WEEKDAY ? ['daily', 'weekly'] : ['daily'];
+
+  for (const period of periods) {
+    try {
+      const { data: channels, error } = await supabase
+        .from('notification_channels')
+        .select('id, user_id, store_id, type, config')
+        .eq('type', 'email')
+        .eq('enabled', true)
+        .eq('config->>digest', period);
+
+      if (error) throw error;
+
+      // An hour of slack so a late cron tick doesn't skip a period
+      const claimBefore = new Date(now.getTime() - (period === 'weekly' ? 7 : 1) * DAY_MS + 60 * 60 * 1000);
+
+      for (const channel of channels) {
+        const { data: claimed } = await supabase
+          .from('notification_channels')
+          .update({ last_digest_at: now.toISOString() })
+          .eq('id', channel.id)
+          .or(`last_digest_at.is.null,last_digest_at.lt.${claimBefore.toISOString()}`)
+          .select('id');
+
+        if (!claimed?.length) continue;
+
+        try {
+          await sendDigest(channel, period, now);
+        } catch (err) {
+          logError(`${period} digest for channel ${channel.id} failed: ${err.message}`);
+        }
+      }
 
-    if (lastPing?.[0]?.is_up === false) {
-      await sendAlertEmail({ store_id: id }, 'ping');
+      log(`${period} digests: ${channels.length} subscribed channel(s)`);
+    } catch (err) {
+      logError(`Digest run error (${period}): ${err.message}`);
     }
   }
 }
 
 // ────────────────────────────────────────────────
-// Core Visual Processing (Missions 2.5–2.10.1)
+// Ping Monitor (Mission 2.4.1)
 // ────────────────────────────────────────────────
 
-async function processStore(browser, store) {
-  const { id, url, baseline_homepage_url } = store;
+async function pingStore(store) {
+  const { id, url } = store;
   const fullUrl = ensureHttps(url);
-  log(`Processing ${id}: ${fullUrl}`);
+  log(`Ping: ${id} - ${fullUrl}`);
 
-  const runStart = new Date().toISOString();
-  let status = 'success';
-  let errorMsg = null;
-  let screenshotUrl = null;
-  let diffResult = null;
-  let page = null;
+  const maintenance = maintenanceWindow(store);
+  if (maintenance) await noteMaintenance(store, maintenance);
 
-  try {
-    page = await browser.newPage();
+  const config = normalizeHttpCheck(store.http_check);
+  // Side by side: one after the other they could outlast PING_STORE_TIMEOUT_MS on a slow store
+  const [result] = await Promise.all([
+    runHttpCheck(fullUrl, config),
+    fullUrl.startsWith('https:') && checkCertificate(store, config),
+  ]);
+  const { isUp, statusCode, responseTimeMs } = result;
 
-    await page.setExtraHTTPHeaders({
-      'X-YAYA-Uptime': 'true',
-      'X-Purpose': 'Uptime Monitoring with consent',
-    });
+  metrics.pingLatency.observe({ result: isUp ? 'up' : 'down' }, responseTimeMs / 1000);
 
-    await page.setUserAgent(
-      'Mozilla/5.0 (compatible; YAYA Uptime Bot/1.0; +https://yayauptime.com/bot)'
-    );
+  if (isUp) log(`Ping ${fullUrl} – ${statusCode} (${responseTimeMs}ms)`);
+  else logError(`Ping failed ${fullUrl}: [${result.failureReason}] ${result.errorMessage}`);
 
-    await page.addStyleTag({
-      content: `
-        [id*="cookie"], [class*="cookie"], [class*="gdpr"], [class*="consent"],
-        [class*="banner"], [class*="popup"], [class*="modal"], [class*="overlay"],
-        [class*="chat"], [id*="chat"], [id*="intercom"], [class*="widget"],
-        .cookie-notice, .cookie-consent, .cookie-law, .cookie-message,
-        .cc-window, .cc-banner, .cc-compliance, .cc-floating, .cc-revoke,
-        iframe[src*="cookie"], iframe[src*="consent"], [data-cookie],
-        [data-gdpr], [data-consent], [data-tracking], [data-analytics],
-        .popup-wrapper, .popup-container, .modal-backdrop, .backdrop,
-        .notification-bar, .alert-bar, .top-bar, .bottom-bar,
-        .newsletter-popup, .exit-intent, .scroll-popup, .float-chat {
-          display: none !important;
-          visibility: hidden !important;
-          opacity: 0 !important;
-          pointer-events: none !important;
-          height: 0 !important;
-          width: 0 !important;
-          max-height: 0 !important;
-          max-width: 0 !important;
-          overflow: hidden !important;
-        }
-      `,
-    });
+  const previous = await recentPings(id, INCIDENT_FAILURE_THRESHOLD - 1);
 
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      const type = req.resourceType();
-      if (type === 'font' || type === 'media') req.abort();
-      else req.continue();
-    });
+  const { data: pingLog, error } = await supabase
+    .from('ping_logs')
+    .insert({
+      store_id: id,
+      status_code: statusCode,
+      response_time_ms: responseTimeMs,
+      is_up: isUp,
+      error_message: result.errorMessage,
+      failure_reason: result.failureReason,
+      check_method: result.method,
+      final_url: result.finalUrl,
+      redirect_count: result.redirects.length,
+      in_maintenance: Boolean(maintenance),
+    })
+    .select('id, checked_at')
+    .single();
 
-    await page.setViewport({ width: 1280, height: 800 });
+  if (error) logError(`ping_logs insert failed for ${id}: ${error.message}`);
+  // Downtime inside a maintenance window is planned: logged, but it never opens an incident
+  else if (maintenance && !isUp) log(`Ping ${id} down during maintenance — no incident`);
+  else await trackIncident(store, { ...pingLog, is_up: isUp, error: result.errorMessage }, previous);
 
-    await page.goto(fullUrl, { waitUntil: 'networkidle2', timeout: 45000 });
-    await new Promise((r) => setTimeout(r, 5000));
+  return isUp;
+}
 
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const key = `screenshots/${id}/homepage-${timestamp}.png`;
-    const buffer = await page.screenshot({ fullPage: true, type: 'png' });
+/**
+ * Records the certificate expiry and warns the owner once per certificate
+ * when it is within the store's tls_warn_days.
+ */
+async function checkCertificate(store, config) {
+  const { id } = store;
+  if (Date.now() - (tlsCheckedAt.get(id) ?? 0) < TLS_CHECK_INTERVAL_MS) return;
+  tlsCheckedAt.set(id, Date.now());
 
-    screenshotUrl = await uploadToR2(buffer, key);
-    log(`Screenshot: ${key}`);
+  try {
+    const cert = await inspectCertificate(new URL(ensureHttps(store.url)).hostname);
+    const validTo = cert.validTo.toISOString();
+    const update = {};
 
-    await supabase.from('stores').update({ failed_attempts: 0 }).eq('id', id);
+    if (store.tls_expires_at !== validTo) update.tls_expires_at = validTo;
 
-    if (!baseline_homepage_url) {
-      await supabase.from('stores').update({ baseline_homepage_url: screenshotUrl }).eq('id', id);
-      log('First run — baseline set');
-      return;
+    if (cert.daysLeft <= config.tlsWarnDays && store.tls_warned_for !== validTo) {
+      log(`TLS certificate for ${id} expires in ${cert.daysLeft} days`);
+      // A warning suppressed by a maintenance window goes out on a later check
+      if (await sendAlert({ store_id: id, certificate: cert }, 'tls_expiry')) update.tls_warned_for = validTo;
     }
 
-    const baselineKey = extractR2Key(baseline_homepage_url);
-    const baselineBuffer = await downloadFromR2(baselineKey);
+    if (Object.keys(update).length) await supabase.from('stores').update(update).eq('id', id);
+  } catch (err) {
+    logError(`TLS inspection failed for ${id}: ${err.message}`);
+  }
+}
 
-    if (!baselineBuffer) {
-      await supabase.from('stores').update({ baseline_homepage_url: screenshotUrl }).eq('id', id);
-      log('Missing baseline — reset');
-      return;
-    }
+// ────────────────────────────────────────────────
+// Ping Incidents
+// ────────────────────────────────────────────────
 
-    diffResult = await compareImages(baselineBuffer, buffer, id, timestamp);
+async function recentPings(storeId, limit) {
+  if (limit <= 0) return [];
 
-    if (diffResult.dimensionChanged) {
-      await supabase.from('stores').update({ baseline_homepage_url: screenshotUrl }).eq('id', id);
-      log('Dimensions changed — baseline updated');
-      return;
-    }
+  const { data, error } = await supabase
+    .from('ping_logs')
+    .select('id, is_up, checked_at')
+    .eq('store_id', storeId)
+    .not('in_maintenance', 'is', true)
+    .order('checked_at', { ascending: false })
+    .limit(limit);
 
-    if (diffResult.hasSignificantDiff) {
-      const { data: alert, error } = await supabase
-        .from('alerts')
-        .insert({
-          store_id: id,
-          step: 'homepage',
-          before_url: baseline_homepage_url,
-          after_url: screenshotUrl,
-          diff_url: diffResult.diffUrl,
-          diff_percentage: diffResult.diffPercentage,
-          type: diffResult.diffPercentage > 20 ? 'red' : 'yellow',
-        })
-        .select()
-        .single();
+  if (error) {
+    logError(`Recent pings lookup failed for ${storeId}: ${error.message}`);
+    return [];
+  }
+  return data;
+}
 
-      if (error) logError(`Alert insert failed: ${error.message}`);
-      else {
-        log(`Significant change: ${diffResult.diffPercentage}%`);
-        await sendAlertEmail(alert);
-      }
-    } else {
-      await supabase.from('stores').update({ baseline_homepage_url: screenshotUrl }).eq('id', id);
-      log(`No significant change: ${diffResult.diffPercentage}%`);
+async function getOpenIncident(storeId) {
+  const { data, error } = await supabase
+    .from('incidents')
+    .select('*')
+    .eq('store_id', storeId)
+    .is('resolved_at', null)
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] ?? null;
+}
+
+/**
+ * Moves the store's incident state forward for one ping:
+ * - up with an open incident → close it and send the recovery email
+ * - down with an open incident → attach the ping, send a reminder when due
+ * - down N times in a row → open an incident, attach the streak, send DOWN
+ *
+ * `previous` are the pings before this one, newest first.
+ */
+async function trackIncident(store, ping, previous) {
+  const { id } = store;
+
+  try {
+    const incident = await getOpenIncident(id);
+
+    if (ping.is_up) {
+      if (incident) await closeIncident(incident, ping);
+      return;
     }
-  } catch (err) {
-    status = 'error';
-    errorMsg = err.message;
-    logError(`Store ${id} failed: ${err.message}`);
-
-    const failureKeywords = [
-      'ERR_NAME_NOT_RESOLVED',
-      'getaddrinfo',
-      'ECONNREFUSED',
-      'timeout',
-      'ENOTFOUND',
-      'ERR_CONNECTION_REFUSED',
-      'ERR_CONNECTION_TIMED_OUT',
-    ];
-
-    if (failureKeywords.some((kw) => err.message.includes(kw))) {
-      const { data: current } = await supabase
-        .from('stores')
-        .select('failed_attempts')
-        .eq('id', id)
-        .single();
 
-      const count = (current?.failed_attempts ?? 0) + 1;
-      const update = { failed_attempts: count };
+    if (incident) {
+      const update = { failure_count: incident.failure_count + 1, last_error: ping.error };
+      await supabase.from('ping_logs').update({ incident_id: incident.id }).eq('id', ping.id);
 
-      if (count >= MAX_FAILURES_BEFORE_INACTIVE) {
-        update.status = 'inactive';
-        log(`Store ${id} inactivated after ${count} consecutive failures`);
+      if (Date.now() >= nextReminderAt(incident)) {
+        update.alerts_sent = (incident.alerts_sent ?? 1) + 1;
+        update.last_alert_at = new Date().toISOString();
+        await sendAlert({ store_id: id, incident: { ...incident, ...update } }, 'ping_reminder');
       }
 
-      await supabase.from('stores').update(update).eq('id', id);
-      log(`Failure count for ${id}: ${count}`);
+      await supabase.from('incidents').update(update).eq('id', incident.id);
+      return;
     }
-  } finally {
-    if (page) await page.close();
 
-    await supabase.from('stores').update({ last_checked: new Date().toISOString() }).eq('id', id);
+    const streak = [ping, ...previous];
+    if (streak.length < INCIDENT_FAILURE_THRESHOLD || streak.some((p) => p.is_up)) return;
 
-    // Mission 2.10.1: Risk logging (safely in finally block)
-    try {
-      const runDurationSec = Math.round((Date.now() - new Date(runStart)) / 1000);
-      await supabase.from('check_logs').insert({
+    const { data: opened, error } = await supabase
+      .from('incidents')
+      .insert({
         store_id: id,
-        status: status,
-        error_message: errorMsg,
-        browserless_units: Math.round(runDurationSec / 2),
-        claude_called: false,
-        claude_cost_estimate: null,
-        claude_severity: null,
-        navigation_steps_passed: 1,
-        navigation_steps_total: 4,
-      });
-    } catch (err) {
-      logError(`check_logs insert failed: ${err.message}`);
-    }
+        started_at: streak[streak.length - 1].checked_at,
+        failure_count: streak.length,
+        last_error: ping.error,
+        alerts_sent: 1,
+        last_alert_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
 
-    await supabase.from('runs').insert({
-      store_id: id,
-      started_at: runStart,
-      finished_at: new Date().toISOString(),
-      status,
-      error_message: errorMsg,
-      screenshot_url: screenshotUrl,
-      diff_percentage: diffResult?.diffPercentage ?? null,
-    });
-  }
-}
+    if (error) throw error;
 
-// ────────────────────────────────────────────────
-// Visual Cycle Runner
-// ────────────────────────────────────────────────
+    await supabase.from('ping_logs').update({ incident_id: opened.id }).in('id', streak.map((p) => p.id));
+    log(`Incident opened for ${id} after ${streak.length} failed pings`);
 
-async function runVisualChecks() {
-  if (isRunningVisual) {
-    log('Visual cycle still running — skipping');
-    return;
+    await sendAlert({ store_id: id, incident: opened }, 'ping');
+    await refreshUptime([id]);
+  } catch (err) {
+    logError(`Incident tracking failed for ${id}: ${err.message}`);
   }
+}
 
-  isRunningVisual = true;
-  log('Starting visual check cycle');
+async function closeIncident(incident, ping) {
+  const resolved = { ...incident, resolved_at: ping.checked_at };
 
-  try {
-    const { data: stores, error } = await supabase
-      .from('stores')
-      .select('id, url, baseline_homepage_url, check_interval_minutes')
-      .eq('status', 'active');
+  const { error } = await supabase
+    .from('incidents')
+    .update({ resolved_at: resolved.resolved_at })
+    .eq('id', incident.id);
 
-    if (error) throw error;
-    if (!stores?.length) {
-      log('No active stores for visual check');
-      return;
-    }
+  if (error) throw error;
 
-    log(`Processing ${stores.length} stores (visual)`);
+  log(`Incident closed for ${incident.store_id} after ${formatDuration(new Date(resolved.resolved_at) - new Date(incident.started_at))}`);
+  await sendAlert({ store_id: incident.store_id, incident: resolved }, 'recovery');
+  await refreshUptime([incident.store_id]);
+}
 
-    const browser = await puppeteer.connect({
-      browserWSEndpoint: `wss://chrome.browserless.io?token=${process.env.BROWSERLESS_API_KEY}`,
-      ignoreHTTPSErrors: true,
-    });
+/**
+ * Recomputes stores.uptime_24h / uptime_7d / uptime_30d from incidents.
+ * Without `storeIds` every active store is refreshed (windows slide even when nothing happens).
+ */
+async function refreshUptime(storeIds = null) {
+  try {
+    const now = Date.now();
+    const monthAgo = now - 30 * 24 * 60 * 60 * 1000;
 
-    for (const store of stores) {
-      await processStore(browser, store);
-      await new Promise((r) => setTimeout(r, 5000));
+    if (!storeIds) {
+      const stores = await selectAllRows(() => supabase.from('stores').select('id').eq('status', 'active').order('id'));
+      storeIds = stores.map((s) => s.id);
+    }
+    if (!storeIds.length) return;
+
+    // Batched to keep the `in` filter well inside URL length limits
+    const incidents = [];
+    for (let i = 0; i < storeIds.length; i += 50) {
+      incidents.push(...await selectAllRows(() => supabase
+        .from('incidents')
+        .select('id, store_id, started_at, resolved_at')
+        .in('store_id', storeIds.slice(i, i + 50))
+        .or(`resolved_at.is.null,resolved_at.gte.${new Date(monthAgo).toISOString()}`)
+        .order('id')));
     }
 
-    await browser.close();
-    log('Visual cycle finished');
+    for (const storeId of storeIds) {
+      const own = incidents.filter((i) => i.store_id === storeId);
+      await supabase
+        .from('stores')
+        .update({
+          uptime_24h: uptimePercentage(own, { from: now - 24 * 60 * 60 * 1000, to: now }),
+          uptime_7d: uptimePercentage(own, { from: now - 7 * 24 * 60 * 60 * 1000, to: now }),
+          uptime_30d: uptimePercentage(own, { from: monthAgo, to: now }),
+        })
+        .eq('id', storeId);
+    }
   } catch (err) {
-    logError(`Visual cycle error: ${err.message}`);
-  } finally {
-    isRunningVisual = false;
+    logError(`Uptime refresh failed: ${err.message}`);
   }
 }
 
 // ────────────────────────────────────────────────
-// Ping Cycle Runner (Mission 2.4.1)
+// Core Visual Processing (Missions 2.5–2.10.1)
 // ────────────────────────────────────────────────
 
-async function runPingChecks() {
-  if (isRunningPing) {
-    log('Ping cycle still running — skipping');
-    return;
+// The homepage keeps its dedicated column; every other journey step lives in stores.step_baselines
+function getStepBaseline(store, stepName) {
+  if (stepName === 'homepage') return store.baseline_homepage_url ?? null;
+  return store.step_baselines?.[stepName] ?? null;
+}
+
+/**
+ * Points a step at a new baseline and records the version in baseline_history
+ * with who/what promoted it and why. Only approved versions (first capture,
+ * forced resets, post-maintenance re-captures, accepted alerts) are used for
+ * drift detection; the routine roll-forward after an unchanged run is
+ * recorded but not approved.
+ */
+async function setStepBaseline(store, stepName, url, {
+  reason = 'rolled',
+  promotedBy = 'worker',
+  approved = false,
+  alertId = null,
+  details = null,
+} = {}) {
+  const previousUrl = getStepBaseline(store, stepName);
+
+  if (stepName === 'homepage') {
+    store.baseline_homepage_url = url;
+    await supabase.from('stores').update({ baseline_homepage_url: url }).eq('id', store.id);
+  } else {
+    store.step_baselines = { ...(store.step_baselines || {}), [stepName]: url };
+    await supabase.from('stores').update({ step_baselines: store.step_baselines }).eq('id', store.id);
   }
 
-  isRunningPing = true;
-  log('Starting ping cycle');
+  const { error } = await supabase.from('baseline_history').insert({
+    store_id: store.id,
+    step: stepName,
+    url,
+    previous_url: previousUrl,
+    reason,
+    promoted_by: promotedBy,
+    approved,
+    alert_id: alertId,
+    details,
+  });
+  if (error) logError(`baseline_history insert failed: ${error.message}`);
+}
 
-  try {
-    const { data: stores, error } = await supabase
-      .from('stores')
-      .select('id, url')
-      .eq('status', 'active');
+async function getApprovedBaseline(storeId, stepName) {
+  const { data, error } = await supabase
+    .from('baseline_history')
+    .select('url, created_at')
+    .eq('store_id', storeId)
+    .eq('step', stepName)
+    .eq('approved', true)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logError(`Approved baseline lookup failed: ${error.message}`);
+    return null;
+  }
+  return data?.[0] ?? null;
+}
 
-    if (error) throw error;
-    if (!stores?.length) {
-      log('No active stores for ping');
-      return;
-    }
+async function capturePage(page, store, stepName, timestamp) {
+  const { id } = store;
 
-    log(`Pinging ${stores.length} stores`);
+  // Pages change between steps, so noise hiding and masks are applied right before each capture
+  await applyMasking(page, normalizeMasking(store.visual_masking));
 
-    for (const store of stores) {
-      await pingStore(store);
-    }
+  const key = `screenshots/${id}/${stepName}-${timestamp}.png`;
+  const buffer = await page.screenshot({ fullPage: true, type: 'png' });
+  const url = await uploadImage(buffer, key);
+  log(`Screenshot: ${key}`);
 
-    log('Ping cycle finished');
-  } catch (err) {
-    logError(`Ping cycle error: ${err.message}`);
-  } finally {
-    isRunningPing = false;
-  }
+  return { buffer, url };
 }
 
-// ────────────────────────────────────────────────
-// Scheduler
-// ────────────────────────────────────────────────
+function alertSeverity(diffResult) {
+  if (diffResult.weightedPercentage > RED_ALERT_PERCENT) return 'red';
+  if (diffResult.heightChange && -diffResult.heightChange.deltaPercentage > HEIGHT_SHRINK_RED_PERCENT) return 'red';
+  return 'yellow';
+}
 
-// Visual checks every 15 minutes
-cron.schedule('*/15 * * * *', runVisualChecks);
+// Content snapshots are keyed by their screenshot's URL, so whichever screenshot
+// is the baseline (rolled, reset or accepted) brings its snapshot along
+async function captureStepContent(page, store, step, screenshotUrl) {
+  const rules = rulesForStep(normalizeWatchRules(store.watch_rules), step.name);
+  try {
+    const snapshot = await captureContent(page, rules);
+    const { error } = await supabase.from('content_snapshots').insert({
+      store_id: store.id,
+      step: step.key,
+      screenshot_url: screenshotUrl,
+      snapshot,
+    });
+    if (error) logError(`content_snapshots insert failed: ${error.message}`);
+    return { snapshot, rules };
+  } catch (err) {
+    // Text diffing is an extra; it never fails the visual check
+    logError(`[${step.key}] Content capture failed: ${err.message}`);
+    return null;
+  }
+}
+
+async function compareContent(baselineUrl, content) {
+  if (!content) return null;
+
+  const { data, error } = await supabase
+    .from('content_snapshots')
+    .select('snapshot')
+    .eq('screenshot_url', baselineUrl)
+    .limit(1);
+
+  if (error) {
+    logError(`Baseline content lookup failed: ${error.message}`);
+    return null;
+  }
+  // Baselines captured before content snapshots existed have nothing to compare with
+  if (!data?.length) return null;
+
+  return diffContent(data[0].snapshot, content.snapshot, content.rules);
+}
+
+/**
+ * Screenshots one journey step and diffs it against that step's baseline.
+ * Returns the uploaded screenshot URL and the comparison result (if any).
+ */
+async function processStep(page, store, step, timestamp, { resetBaselines = false, recaptureBaselines = false, maintenance = false } = {}) {
+  const { id } = store;
+  const { buffer, url: screenshotUrl } = await capturePage(page, store, step.fileLabel, timestamp);
+  const content = await captureStepContent(page, store, step, screenshotUrl);
+  const baselineUrl = getStepBaseline(store, step.key);
+
+  if (resetBaselines) {
+    await setStepBaseline(store, step.key, screenshotUrl, { reason: 'manual_reset', promotedBy: 'cli', approved: true });
+    log(`[${step.key}] Baseline reset`);
+    return { screenshotUrl, diffResult: null };
+  }
+
+  if (recaptureBaselines) {
+    await setStepBaseline(store, step.key, screenshotUrl, { reason: 'maintenance_recapture', promotedBy: 'worker', approved: true });
+    log(`[${step.key}] Baseline re-captured after maintenance window`);
+    return { screenshotUrl, diffResult: null };
+  }
+
+  // Mid-deploy pages neither become the baseline nor alert
+  if (maintenance) {
+    log(`[${step.key}] Maintenance window — captured, baseline kept`);
+    return { screenshotUrl, diffResult: null };
+  }
+
+  if (!baselineUrl) {
+    await setStepBaseline(store, step.key, screenshotUrl, { reason: 'initial', approved: true });
+    log(`[${step.key}] First run — baseline set`);
+    return { screenshotUrl, diffResult: null };
+  }
+
+  const baselineBuffer = await downloadImage(storage.keyFromUrl(baselineUrl));
+
+  if (!baselineBuffer) {
+    await setStepBaseline(store, step.key, screenshotUrl, { reason: 'missing_baseline', approved: true });
+    log(`[${step.key}] Missing baseline — reset`);
+    return { screenshotUrl, diffResult: null };
+  }
+
+  const { ignoreRegions } = normalizeMasking(store.visual_masking);
+  const diffResult = await compareImages(baselineBuffer, buffer, {
+    id,
+    timestamp,
+    step: step.name,
+    device: step.device,
+    label: step.fileLabel,
+    ignoreRegions,
+    foldY: step.foldY,
+  });
 
-// Ping checks every 5 minutes
-cron.schedule('*/5 * * * *', runPingChecks);
+  if (diffResult.diffPercentage != null) metrics.diffPercentage.observe({ device: step.device }, diffResult.diffPercentage);
 
-// Immediate first runs
-runVisualChecks();
-runPingChecks();
+  const contentDiff = await compareContent(baselineUrl, content);
+  if (contentDiff?.changes.length) {
+    log(`[${step.key}] ${contentDiff.changes.length} content change(s)${contentDiff.alerting ? `, alerting (${contentDiff.severity})` : ''}`);
+  }
+
+  if (diffResult.dimensionChanged) {
+    await setStepBaseline(store, step.key, screenshotUrl, { reason: 'width_changed', approved: true });
+    log(`[${step.key}] Width changed — baseline reset`);
+    return { screenshotUrl, diffResult };
+  }
+
+  if (diffResult.hasSignificantDiff) {
+    await raiseVisualAlert(store, step, {
+      beforeUrl: baselineUrl,
+      afterUrl: screenshotUrl,
+      diffResult,
+      contentDiff,
+      kind: 'change',
+    });
+    return { screenshotUrl, diffResult };
+  }
+
+  if (diffResult.error) return { screenshotUrl, diffResult };
+
+  // Below the pixel threshold but the text says otherwise (price, sold out, watch rules).
+  // The baseline still rolls forward below, so the same change alerts once.
+  if (contentDiff?.alerting) {
+    await raiseVisualAlert(store, step, {
+      beforeUrl: baselineUrl,
+      afterUrl: screenshotUrl,
+      diffResult,
+      contentDiff,
+      kind: 'content',
+    });
+  }
+
+  if (diffResult.heightChange) {
+    await setStepBaseline(store, step.key, screenshotUrl, { reason: 'height_changed', details: diffResult.heightChange });
+    log(`[${step.key}] Minor height change (${diffResult.heightChange.deltaPercentage}%) — baseline updated`);
+  } else {
+    await setStepBaseline(store, step.key, screenshotUrl);
+    log(`[${step.key}] No significant change: ${diffResult.diffPercentage}%`);
+  }
+
+  await checkDrift(store, step, { buffer, screenshotUrl, previousBaselineUrl: baselineUrl, timestamp });
+
+  return { screenshotUrl, diffResult };
+}
+
+/**
+ * Rolling the baseline forward every run hides slow drift (a few % per run).
+ * Compares the capture against the last approved baseline as well and raises
+ * one drift alert per step until it is accepted or rejected.
+ */
+async function checkDrift(store, step, { buffer, screenshotUrl, previousBaselineUrl, timestamp }) {
+  const { id } = store;
+  const approved = await getApprovedBaseline(id, step.key);
+
+  // Nothing approved yet, or the regular comparison already ran against it
+  if (!approved || approved.url === previousBaselineUrl) return;
+
+  const { data: openDrift } = await supabase
+    .from('alerts')
+    .select('id')
+    .eq('store_id', id)
+    .eq('step', step.name)
+    .eq('device', step.device)
+    .eq('kind', 'drift')
+    .is('resolution', null)
+    .limit(1);
+
+  if (openDrift?.length) return;
+
+  const approvedBuffer = await downloadImage(storage.keyFromUrl(approved.url));
+  if (!approvedBuffer) return;
+
+  const { ignoreRegions } = normalizeMasking(store.visual_masking);
+  const drift = await compareImages(approvedBuffer, buffer, {
+    id,
+    timestamp,
+    step: step.name,
+    device: step.device,
+    label: `${step.fileLabel}-drift`,
+    ignoreRegions,
+    foldY: step.foldY,
+    threshold: DRIFT_THRESHOLD_PERCENT,
+    uploadDiff: 'significant',
+  });
+
+  if (!drift.hasSignificantDiff) return;
+
+  log(`[${step.key}] Drift since approved baseline: ${drift.diffPercentage}%`);
+  await raiseVisualAlert(store, step, {
+    beforeUrl: approved.url,
+    afterUrl: screenshotUrl,
+    diffResult: drift,
+    kind: 'drift',
+  });
+}
+
+// A rejected alert's signature (see applyResolutionEffect) silences later identical ones
+async function isMuted(storeId, stepKey, signature) {
+  if (!signature) return false;
+
+  const { data: mutes } = await supabase
+    .from('alert_mutes')
+    .select('id')
+    .eq('store_id', storeId)
+    .eq('step', stepKey)
+    .eq('signature', signature)
+    .limit(1);
+
+  return Boolean(mutes?.length);
+}
+
+/**
+ * Inserts and emails a visual alert unless its signature was muted by an
+ * earlier rejection.
+ */
+async function raiseVisualAlert(store, step, { beforeUrl, afterUrl, diffResult, contentDiff = null, kind }) {
+  const { id } = store;
+  const signature = kind === 'content'
+    ? contentSignature(step.key, contentDiff.changes)
+    : alertSignature(step.key, diffResult);
+  // Text changes that would alert on their own can only make a visual alert worse
+  const type = kind === 'content' || contentDiff?.severity === 'red' ? contentDiff.severity : alertSeverity(diffResult);
+
+  if (await isMuted(id, step.key, signature)) {
+    log(`[${step.key}] Change ${diffResult.diffPercentage}% matches muted signature ${signature} — no alert`);
+    return null;
+  }
+
+  // The baseline stays put until the alert is accepted or rejected, so the same change
+  // comes back on every check — one open alert per change is enough
+  const { data: open } = await supabase
+    .from('alerts')
+    .select('id')
+    .eq('store_id', id)
+    .eq('step', step.name)
+    .eq('device', step.device)
+    .eq('signature', signature)
+    .is('resolution', null)
+    .limit(1);
+
+  if (open?.length) {
+    log(`[${step.key}] Change ${diffResult.diffPercentage}% already alerted (alert ${open[0].id}, unresolved)`);
+    return null;
+  }
+
+  const { data: alert, error } = await supabase
+    .from('alerts')
+    .insert({
+      store_id: id,
+      step: step.name,
+      device: step.device,
+      kind,
+      signature,
+      before_url: beforeUrl,
+      after_url: afterUrl,
+      diff_url: diffResult.diffUrl,
+      diff_percentage: diffResult.diffPercentage,
+      changed_regions: diffResult.regions,
+      height_change: diffResult.heightChange,
+      text_changes: contentDiff?.changes.length ? summarizeChanges(contentDiff.changes) : null,
+      type,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logError(`Alert insert failed: ${error.message}`);
+    return null;
+  }
+
+  if (kind === 'content') {
+    log(`[${step.key}] Content change (${diffResult.diffPercentage}% pixels)`);
+    await sendAlert(alert, 'content');
+  } else {
+    log(`[${step.key}] Significant ${kind === 'drift' ? 'drift' : 'change'}: ${diffResult.diffPercentage}%`);
+    await sendAlert(alert);
+  }
+  return alert;
+}
+
+/**
+ * A step past the first one could not be completed (missing button, broken
+ * checkout, assertion failed). Captures what the page looked like and raises
+ * a red alert for that step.
+ */
+async function raiseStepFailure(page, store, step, err, timestamp) {
+  let afterUrl = null;
+  try {
+    ({ url: afterUrl } = await capturePage(page, store, `${step.fileLabel}-failed`, timestamp));
+  } catch (captureErr) {
+    logError(`Failure screenshot for step ${step.key} failed: ${captureErr.message}`);
+  }
+
+  const { data: alert, error } = await supabase
+    .from('alerts')
+    .insert({
+      store_id: store.id,
+      step: step.name,
+      device: step.device,
+      before_url: getStepBaseline(store, step.key),
+      after_url: afterUrl,
+      diff_url: null,
+      diff_percentage: null,
+      kind: 'step_failure',
+      type: 'red',
+      error_message: err.message,
+    })
+    .select()
+    .single();
+
+  if (error) logError(`Step alert insert failed: ${error.message}`);
+  else await sendAlert(alert, 'step');
+}
+
+/**
+ * Opens a page set up for one device profile: bot identity headers, user
+ * agent, viewport/touch emulation and font/media blocking. Aborting `signal`
+ * (per-store timeout) closes it so the check unwinds.
+ */
+async function openCheckPage(browsers, viewport, signal) {
+  const page = await withRetries(() => trackDependency(`browser_${browsers.backend}`, () => browsers.acquirePage()), {
+    delaysMs: RETRY_DELAYS_MS,
+    signal,
+    onRetry: (err, attempt) => logError(`Browser unavailable (retry ${attempt}): ${err.message}`),
+  });
+
+  // An acquire still pending when the check timed out would otherwise hand back a page
+  // nobody closes, and the check would carry on after the pool has moved on
+  if (signal?.aborted) {
+    await browsers.releasePage(page);
+    throw new Error('Check aborted while waiting for a browser page');
+  }
+  signal?.addEventListener('abort', () => page.close().catch(() => {}), { once: true });
+
+  await page.setExtraHTTPHeaders({
+    'X-YAYA-Uptime': 'true',
+    'X-Purpose': 'Uptime Monitoring with consent',
+  });
+
+  await applyViewport(page, viewport);
+
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    const type = req.resourceType();
+    if (type === 'font' || type === 'media') req.abort();
+    else req.continue();
+  });
+
+  return page;
+}
+
+// Performance capture is an extra; failing to start it never fails the check
+async function startStepPerf(page) {
+  try {
+    return await startPerfCapture(page);
+  } catch (err) {
+    logError(`Performance capture unavailable: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stores a navigate step's performance sample and alerts when it regressed
+ * against the step's rolling baseline (one open performance alert per step).
+ */
+async function recordPerformance(store, step, perf) {
+  let sample;
+  try {
+    sample = await perf.collect();
+  } catch (err) {
+    logError(`[${step.key}] Performance collection failed: ${err.message}`);
+    return;
+  }
+
+  if (sample.load_ms != null) metrics.pageLoad.observe({ device: step.device }, sample.load_ms / 1000);
+
+  const { data: history, error } = await supabase
+    .from('perf_samples')
+    .select(Object.keys(PERF_METRICS).join(', '))
+    .eq('store_id', store.id)
+    .eq('step', step.key)
+    .order('captured_at', { ascending: false })
+    .limit(PERF_BASELINE_SAMPLES);
+
+  await supabase.from('perf_samples').insert({ store_id: store.id, step: step.key, device: step.device, ...sample });
+
+  if (error) {
+    logError(`Performance history lookup failed: ${error.message}`);
+    return;
+  }
 
-log('Worker started');
-log('Visual checks every 15 minutes (first run immediate) | Ping checks every 5 minutes (first run immediate)');
+  const factor = Number(store.perf_regression_factor) || PERF_REGRESSION_FACTOR;
+  const regressions = findRegressions(sample, history, { factor, minSamples: PERF_MIN_SAMPLES });
+  if (!regressions.length) return;
+
+  log(`[${step.key}] Performance regression: ${regressions.map((r) => `${r.metric} ${r.baseline} → ${r.value}`).join(', ')}`);
+
+  const { data: open } = await supabase
+    .from('alerts')
+    .select('id')
+    .eq('store_id', store.id)
+    .eq('step', step.name)
+    .eq('device', step.device)
+    .eq('kind', 'performance')
+    .is('resolution', null)
+    .limit(1);
+
+  if (open?.length) return;
+
+  const { data: alert, error: insertError } = await supabase
+    .from('alerts')
+    .insert({
+      store_id: store.id,
+      step: step.name,
+      device: step.device,
+      kind: 'performance',
+      perf_regressions: regressions,
+      // Doubling is the point where shoppers notice
+      type: regressions.some((r) => r.ratio == null || r.ratio >= 2) ? 'red' : 'yellow',
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    logError(`Alert insert failed: ${insertError.message}`);
+    return;
+  }
+  await sendAlert(alert, 'performance');
+}
+
+/**
+ * Compares a run's page issues with the last complete run that recorded any
+ * and alerts on the new ones (one alert per run, filed under the first new
+ * issue's step).
+ */
+async function checkPageIssues(store, issues) {
+  const { data: previous, error } = await supabase
+    .from('runs')
+    .select('page_issues')
+    .eq('store_id', store.id)
+    // A run that stopped partway never saw the later steps, whose issues would all look new
+    .eq('status', 'success')
+    .not('page_issues', 'is', null)
+    .order('started_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logError(`Previous page issues lookup failed: ${error.message}`);
+    return;
+  }
+  // The first run that records issues is the baseline
+  if (!previous?.length) return;
+
+  const { added, severity } = compareIssues(previous[0].page_issues, issues);
+  if (!added.length) return;
+
+  const [first] = added;
+  const stepKey = baselineKey(first.step, first.device);
+  const signature = issuesSignature(stepKey, added);
+  log(`${added.length} new page issue(s) on ${store.id}, first: ${first.fingerprint}`);
+
+  if (await isMuted(store.id, stepKey, signature)) {
+    log(`[${stepKey}] New page issues match muted signature ${signature} — no alert`);
+    return;
+  }
+
+  const { data: alert, error: insertError } = await supabase
+    .from('alerts')
+    .insert({
+      store_id: store.id,
+      step: first.step,
+      device: first.device,
+      kind: 'page_issues',
+      signature,
+      page_issues: added,
+      type: severity,
+    })
+    .select()
+    .single();
+
+  if (insertError) {
+    logError(`Alert insert failed: ${insertError.message}`);
+    return;
+  }
+  await sendAlert(alert, 'page_issues');
+}
+
+/**
+ * Runs the store's journey once per device profile, each on a fresh page,
+ * and records the run. `resetBaselines` replaces every baseline with the
+ * fresh capture instead of comparing.
+ * Resolves to the run status ('success' | 'error').
+ */
+async function processStore(browsers, store, signal, { resetBaselines = false } = {}) {
+  const { id, url } = store;
+  const fullUrl = ensureHttps(url);
+  log(`Processing ${id}: ${fullUrl}`);
+
+  const maintenance = maintenanceWindow(store);
+  if (maintenance) {
+    log(`Store ${id} in maintenance until ${maintenance.endsAt.toISOString()} — no alerts, baselines kept`);
+    await noteMaintenance(store, maintenance);
+  }
+  const recapture = !maintenance && Boolean(store.maintenance_recapture_pending);
+  if (recapture) log(`Maintenance window over — re-capturing baselines for ${id}`);
+
+  const runStart = new Date().toISOString();
+  let status = 'success';
+  let errorMsg = null;
+  let screenshotUrl = null;
+  let diffResult = null;
+  let page = null;
+  let stepsTotal = 1;
+  let stepsPassed = 0;
+  // Until the first navigation has gone out, a timeout can only be ours (browser, page setup)
+  let storeContacted = false;
+  let failure = null;
+  const issueCaptures = [];
+
+  try {
+    const journey = normalizeJourney(store.journey);
+    const ignoredDomains = normalizeIgnoredDomains(store.ignored_domains);
+    const viewports = normalizeViewports(store.viewports);
+    stepsTotal = journey.length * viewports.length;
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    for (const [deviceIndex, viewport] of viewports.entries()) {
+      page = await openCheckPage(browsers, viewport, signal);
+      const perf = await startStepPerf(page);
+      const issueCapture = startIssueCapture(page, { siteUrl: fullUrl, ignoredDomains });
+      issueCaptures.push(issueCapture);
+
+      for (const [index, journeyStep] of journey.entries()) {
+        const step = {
+          ...journeyStep,
+          device: viewport.name,
+          key: baselineKey(journeyStep.name, viewport.name),
+          fileLabel: viewport.name === 'desktop' ? journeyStep.name : `${journeyStep.name}-${viewport.name}`,
+          foldY: foldHeight(viewport),
+        };
+        issueCapture.setStep(step);
+
+        try {
+          // Navigations are safe to repeat; clicks (add to cart) are not
+          await withRetries(() => {
+            perf?.reset();
+            storeContacted = true;
+            return runStep(page, step, fullUrl);
+          }, {
+            delaysMs: step.action === 'navigate' ? RETRY_DELAYS_MS : [],
+            shouldRetry: (err) => describeFailure(err).transient,
+            signal,
+            onRetry: (err, attempt, delayMs) =>
+              log(`[${step.key}] ${describeFailure(err).category} failure, retry ${attempt} in ${delayMs / 1000}s: ${err.message}`),
+          });
+        } catch (err) {
+          // The very first step failing means the store itself is unreachable, and a
+          // worker-side fault isn't the store's doing — both are handled below
+          if ((deviceIndex === 0 && index === 0) || signal?.aborted || describeFailure(err).category === 'worker') throw err;
+
+          status = 'error';
+          failure = describeFailure(err);
+          errorMsg = `Step "${step.name}" failed on ${step.device}: ${err.message}`;
+          logError(`Store ${id} ${errorMsg}`);
+          if (!maintenance) await raiseStepFailure(page, store, step, err, timestamp);
+          break;
+        }
+
+        stepsPassed++;
+        if (deviceIndex === 0 && index === 0) {
+          await supabase.from('stores').update({ failed_attempts: 0 }).eq('id', id);
+        }
+
+        // Mid-deploy timings would skew the rolling baseline
+        if (perf && step.action === 'navigate' && !maintenance) await recordPerformance(store, step, perf);
+
+        if (!step.screenshot) continue;
+
+        await issueCapture.checkImages().catch((err) => logError(`[${step.key}] Broken image check failed: ${err.message}`));
+        const result = await processStep(page, store, step, timestamp, {
+          resetBaselines,
+          recaptureBaselines: recapture,
+          maintenance: Boolean(maintenance),
+        });
+        screenshotUrl = screenshotUrl ?? result.screenshotUrl;
+
+        // runs keeps the single worst diff of the journey
+        if (
+          result.diffResult?.diffPercentage != null &&
+          (diffResult?.diffPercentage == null || result.diffResult.diffPercentage > diffResult.diffPercentage)
+        ) {
+          diffResult = result.diffResult;
+        }
+      }
+
+      await browsers.releasePage(page);
+      page = null;
+    }
+  } catch (err) {
+    status = 'error';
+    errorMsg = signal?.aborted ? `Check timed out (${err.message})` : err.message;
+    logError(`Store ${id} failed: ${errorMsg}`);
+
+    // The page is closed when the check times out, so whatever Puppeteer threw is beside the point.
+    // Only a first navigation that never finished is the store's fault; before it started, or once
+    // the store has answered, the budget went on our own work (browser, devices, delays, uploads)
+    const timedOut = storeContacted && stepsPassed === 0
+      ? new CheckFailure(errorMsg, { category: 'timeout' })
+      : markWorkerFault(new Error(errorMsg), 'check_budget');
+    failure = describeFailure(signal?.aborted ? timedOut : err);
+
+    if (maintenance) {
+      log(`${failure.category} failure during maintenance — not counted against ${id}`);
+    } else if (failure.countsAgainstStore) {
+      await recordStoreFailure(store, failure, errorMsg);
+    } else if (failure.category === 'worker') {
+      log(`Worker-side fault (${failure.dependency}) — not counted against ${id}`);
+    } else {
+      log(`${failure.category} failure — not counted against ${id}`);
+    }
+  } finally {
+    if (page) await browsers.releasePage(page);
+
+    const storeUpdate = { last_checked: new Date().toISOString() };
+    // A failed re-capture stays pending for the next check
+    if (recapture && status === 'success') storeUpdate.maintenance_recapture_pending = false;
+    await supabase.from('stores').update(storeUpdate).eq('id', id);
+
+    // Mission 2.10.1: Risk logging (safely in finally block)
+    try {
+      const runDurationSec = Math.round((Date.now() - new Date(runStart)) / 1000);
+      await supabase.from('check_logs').insert({
+        store_id: id,
+        status: status,
+        error_message: errorMsg,
+        browserless_units: browsers.usesBrowserless ? Math.round(runDurationSec / 2) : null,
+        claude_called: false,
+        claude_cost_estimate: null,
+        claude_severity: null,
+        navigation_steps_passed: stepsPassed,
+        navigation_steps_total: stepsTotal,
+        failure_category: failure?.category ?? null,
+      });
+    } catch (err) {
+      logError(`check_logs insert failed: ${err.message}`);
+    }
+
+    // Runs that never got past the first step saw no page, and mid-deploy pages are no
+    // reference for the next run, so neither records issues
+    const pageIssues = stepsPassed && !maintenance ? issueCaptures.flatMap((c) => c.issues()) : null;
+    if (pageIssues) {
+      try {
+        await checkPageIssues(store, pageIssues);
+      } catch (err) {
+        logError(`Page issue check failed: ${err.message}`);
+      }
+    }
+
+    await supabase.from('runs').insert({
+      store_id: id,
+      started_at: runStart,
+      finished_at: new Date().toISOString(),
+      status,
+      error_message: errorMsg,
+      failure_category: failure?.category ?? null,
+      page_issues: pageIssues,
+      in_maintenance: Boolean(maintenance),
+      screenshot_url: screenshotUrl,
+      diff_percentage: diffResult?.diffPercentage ?? null,
+    });
+  }
+
+  return status;
+}
+
+// ────────────────────────────────────────────────
+// Maintenance Windows (lib/maintenance.js)
+// ────────────────────────────────────────────────
+
+function maintenanceWindow(store, now = new Date()) {
+  return activeWindow(normalizeMaintenanceWindows(store.maintenance_windows), now);
+}
+
+// A window with recapture_baseline flags the store; the first visual check after it re-captures
+async function noteMaintenance(store, maintenance) {
+  if (!maintenance.window.recaptureBaseline || store.maintenance_recapture_pending) return;
+  store.maintenance_recapture_pending = true;
+  await supabase.from('stores').update({ maintenance_recapture_pending: true }).eq('id', store.id);
+}
+
+// ────────────────────────────────────────────────
+// Deactivation & Re-probing
+// ────────────────────────────────────────────────
+
+/**
+ * Counts a store-side failure. The owner is warned DEACTIVATION_WARNING_AT
+ * failures in and told when the store is deactivated; deactivated stores are
+ * re-probed by runReprobes() and come back on their own.
+ */
+async function recordStoreFailure(store, failure, errorMsg) {
+  const { id } = store;
+  const { data: current } = await supabase
+    .from('stores')
+    .select('failed_attempts')
+    .eq('id', id)
+    .single();
+
+  const count = (current?.failed_attempts ?? 0) + 1;
+  const update = { failed_attempts: count };
+  const deactivate = count >= MAX_FAILURES_BEFORE_INACTIVE;
+
+  if (deactivate) {
+    Object.assign(update, {
+      status: 'inactive',
+      deactivated_at: new Date().toISOString(),
+      deactivated_reason: 'unreachable',
+      last_probed_at: null,
+    });
+    log(`Store ${id} inactivated after ${count} consecutive ${failure.category} failures`);
+  }
+
+  await supabase.from('stores').update(update).eq('id', id);
+  log(`Failure count for ${id}: ${count}`);
+
+  const details = { store_id: id, failure: { ...failure, message: errorMsg }, failed_attempts: count };
+  if (deactivate) {
+    await sendAlert(details, 'deactivated');
+  } else if (count === DEACTIVATION_WARNING_AT) {
+    await sendAlert({ ...details, remaining: MAX_FAILURES_BEFORE_INACTIVE - count }, 'deactivation_warning');
+  }
+}
+
+/**
+ * Lightweight HTTP probe of a deactivated store; reactivates it on success.
+ */
+async function reprobeStore(store) {
+  const result = await runHttpCheck(ensureHttps(store.url), normalizeHttpCheck(store.http_check));
+  const now = new Date().toISOString();
+
+  if (!result.isUp) {
+    await supabase.from('stores').update({ last_probed_at: now }).eq('id', store.id);
+    log(`Re-probe ${store.id}: still down [${result.failureReason}] ${result.errorMessage}`);
+    return false;
+  }
+
+  // Conditional so only one worker reactivates (and notifies)
+  const { data: reactivated } = await supabase
+    .from('stores')
+    .update({ status: 'active', failed_attempts: 0, deactivated_at: null, deactivated_reason: null, last_probed_at: now })
+    .eq('id', store.id)
+    .eq('status', 'inactive')
+    .select('id');
+
+  if (reactivated?.length) {
+    log(`Store ${store.id} reachable again — reactivated`);
+    await sendAlert({ store_id: store.id, deactivated_at: store.deactivated_at, reactivated_at: now }, 'reactivated');
+  }
+  return true;
+}
+
+async function runReprobes() {
+  try {
+    // Stores deactivated before deactivated_reason existed are treated as unreachable too
+    const { data: stores, error } = await supabase
+      .from('stores')
+      .select('id, url, http_check, deactivated_at, last_probed_at, last_checked')
+      .eq('status', 'inactive')
+      .or(`deactivated_reason.eq.unreachable,and(deactivated_reason.is.null,failed_attempts.gte.${MAX_FAILURES_BEFORE_INACTIVE})`);
+
+    if (error) throw error;
+
+    const now = Date.now();
+    const due = stores
+      .map((s) => ({ ...s, deactivated_at: s.deactivated_at ?? s.last_checked ?? new Date(now).toISOString() }))
+      .filter((s) => nextProbeAt(s) <= now);
+
+    if (!due.length) return;
+    log(`Re-probing ${due.length}/${stores.length} deactivated stores`);
+
+    const summary = await runPool(due, (store) => leases.withLease(store.id, 'reprobe', {
+      ttlMs: PING_LEASE_TTL_MS,
+      onLost: () => logError(`Re-probe lease for ${store.id} lost`),
+    }, () => reprobeStore(store)), {
+      concurrency: PING_CONCURRENCY,
+      timeoutMs: PING_STORE_TIMEOUT_MS,
+      onError: (store, err) => logError(`Re-probe ${store.id} aborted: ${err.message}`),
+    });
+
+    logCycleSummary('Re-probe', summary);
+  } catch (err) {
+    logError(`Re-probe cycle error: ${err.message}`);
+  }
+}
+
+// ────────────────────────────────────────────────
+// Storage Retention
+// ────────────────────────────────────────────────
+
+// Baselines (current and approved) and every image attached to an alert are never pruned.
+// Throws when a referenced URL doesn't map to a key, since that object would look routine
+async function referencedKeys(store) {
+  const [alerts, approved] = await Promise.all([
+    selectAllRows(() => supabase
+      .from('alerts')
+      .select('before_url, after_url, diff_url')
+      .eq('store_id', store.id)
+      .order('created_at')),
+    selectAllRows(() => supabase
+      .from('baseline_history')
+      .select('url')
+      .eq('store_id', store.id)
+      .eq('approved', true)
+      .order('created_at')),
+  ]);
+
+  const urls = [
+    store.baseline_homepage_url,
+    ...Object.values(store.step_baselines || {}),
+    ...alerts.flatMap((a) => [a.before_url, a.after_url, a.diff_url]),
+    ...approved.map((h) => h.url),
+  ];
+  const keys = new Set();
+  for (const url of urls.filter(Boolean)) {
+    const key = storage.keyFromUrl(url);
+    if (!key) throw new Error(`Referenced URL ${url} doesn't resolve to a storage key (see STORAGE_LEGACY_PUBLIC_URLS)`);
+    keys.add(key);
+  }
+  return keys;
+}
+
+async function listStoreObjects(storeId) {
+  const lists = await Promise.all(RETENTION_PREFIXES.map((prefix) =>
+    trackDependency('storage', () => storage.list(`${prefix}${storeId}/`))));
+  return lists.flat();
+}
+
+// Content snapshots live and die with their screenshot (see captureStepContent)
+async function deleteContentSnapshots(keys) {
+  const urls = keys.filter((key) => key.startsWith('screenshots/')).map((key) => storage.publicUrl(key));
+  // Batched to keep the `in` filter well inside URL length limits
+  for (let i = 0; i < urls.length; i += 50) {
+    const { error } = await supabase.from('content_snapshots').delete().in('screenshot_url', urls.slice(i, i + 50));
+    if (error) throw error;
+  }
+}
+
+async function pruneObjects(objects, options, dryRun) {
+  const { remove, bytes } = planRetention(objects, { ...options, graceMs: RETENTION_GRACE_MS });
+  if (remove.length && !dryRun) {
+    const keys = remove.map((o) => o.key);
+    await trackDependency('storage', () => storage.delete(keys));
+    await deleteContentSnapshots(keys);
+    metrics.retentionDeleted.inc({}, bytes);
+  }
+  return { scanned: objects.length, deleted: remove.length, bytes };
+}
+
+async function pruneStore(store, policies, dryRun) {
+  const [objects, keep] = await Promise.all([listStoreObjects(store.id), referencedKeys(store)]);
+  const { keepScreenshots } = policyFor(policies, store.plan);
+  const result = await pruneObjects(objects, { keep, keepScreenshots }, dryRun);
+
+  if (result.deleted) {
+    log(`Retention ${store.id}: ${dryRun ? 'would delete' : 'deleted'} ${result.deleted}/${result.scanned} objects (${formatBytes(result.bytes)})`);
+  }
+  return result;
+}
+
+// Store ids that still have objects in storage but no row in `stores`
+async function findDeletedStores(storeIds) {
+  const known = new Set(storeIds.map(String));
+  const ids = new Set();
+  for (const prefix of RETENTION_PREFIXES) {
+    const dirs = await trackDependency('storage', () => storage.listPrefixes(prefix));
+    for (const dir of dirs) {
+      const id = dir.slice(prefix.length).replace(/\/$/, '');
+      if (id && !known.has(id)) ids.add(id);
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Prunes screenshots and diffs per plan policy and removes deleted stores'
+ * objects. With `dryRun` nothing is deleted; the report says what would be.
+ *
+ * @returns {Promise<{ dryRun, stores, deletedStores, scanned, deleted, bytesReclaimed, error? }>}
+ */
+async function runRetention({ dryRun = RETENTION_DRY_RUN } = {}) {
+  const cycle = cycles.start('retention');
+  const report = { dryRun, stores: 0, deletedStores: 0, scanned: 0, deleted: 0, bytesReclaimed: 0 };
+  const add = (result) => {
+    report.scanned += result.scanned;
+    report.deleted += result.deleted;
+    report.bytesReclaimed += result.bytes;
+  };
+
+  log(`Starting retention${dryRun ? ' (dry run — nothing is deleted)' : ''}`, { cycle_id: cycle.id });
+
+  try {
+    const policies = loadPolicies(process.env.RETENTION_POLICIES);
+    const stores = await selectAllRows(() => supabase
+      .from('stores')
+      .select('id, plan, baseline_homepage_url, step_baselines')
+      .order('id'));
+
+    report.stores = stores.length;
+    cycle.queued = stores.length;
+
+    const summary = await runPool(stores, (store) => leases.withLease(store.id, 'retention', {
+      ttlMs: RETENTION_LEASE_TTL_MS,
+      holdMs: dryRun ? 0 : RETENTION_HOLD_MS,
+      onLost: () => logError(`Retention lease for ${store.id} lost`),
+    }, async () => {
+      add(await pruneStore(store, policies, dryRun));
+      cycle.done++;
+    }), {
+      concurrency: RETENTION_CONCURRENCY,
+      onError: (store, err) => logError(`Retention ${store.id} failed: ${err.message}`),
+    });
+
+    // Objects of deleted stores have nothing left to keep — so a store missing from the list
+    // would lose everything, baselines included. Only run when the list is known to be complete.
+    const { count, error: countError } = await supabase.from('stores').select('id', { count: 'exact', head: true });
+    if (countError) throw countError;
+    assertCompleteStoreList(stores.length, count);
+
+    const deletedStores = await findDeletedStores(stores.map((s) => s.id));
+    report.deletedStores = deletedStores.length;
+    for (const id of deletedStores) {
+      const result = await pruneObjects(await listStoreObjects(id), { keep: new Set(), keepScreenshots: 0 }, dryRun);
+      log(`Retention: store ${id} no longer exists — ${dryRun ? 'would delete' : 'deleted'} ${result.deleted} objects (${formatBytes(result.bytes)})`);
+      add(result);
+    }
+
+    cycle.summary = { ...summary, ...report };
+    log(
+      `Retention finished: ${dryRun ? 'would reclaim' : 'reclaimed'} ${formatBytes(report.bytesReclaimed)} ` +
+      `(${report.deleted}/${report.scanned} objects, ${report.deletedStores} deleted stores)`,
+      { report }
+    );
+  } catch (err) {
+    cycle.error = err.message;
+    report.error = err.message;
+    logError(`Retention error: ${err.message}`);
+  } finally {
+    finishCycle(cycle);
+  }
+
+  return report;
+}
+
+// ────────────────────────────────────────────────
+// Alert Resolutions (accept / reject)
+// ────────────────────────────────────────────────
+
+/**
+ * Applies an accepted or rejected alert:
+ * - accepted → the alert's after_url becomes the step's approved baseline
+ * - rejected → the baseline stays and the alert's signature is muted
+ *
+ * Claimed through resolution_applied_at so only one worker applies it.
+ */
+async function applyAlertResolution(alert) {
+  const { data: claimed, error: claimError } = await supabase
+    .from('alerts')
+    .update({ resolution_applied_at: new Date().toISOString() })
+    .eq('id', alert.id)
+    .is('resolution_applied_at', null)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed.length) return;
+
+  // A failed step's screenshot shows the breakage; it never becomes a baseline
+  if (alert.resolution === 'accepted' && alert.kind === 'step_failure') {
+    logError(`Alert ${alert.id} is a step failure — accepting it promotes nothing`);
+    return;
+  }
+
+  try {
+    await applyResolutionEffect(alert);
+  } catch (err) {
+    // Release the claim so the next run retries it
+    await supabase.from('alerts').update({ resolution_applied_at: null }).eq('id', alert.id);
+    throw err;
+  }
+}
+
+async function applyResolutionEffect(alert) {
+  const actor = alert.resolved_by ? `user:${alert.resolved_by}` : 'user';
+  const key = baselineKey(alert.step, alert.device || 'desktop');
+
+  if (alert.resolution === 'accepted') {
+    if (!alert.after_url) {
+      log(`Alert ${alert.id} accepted without a screenshot — nothing to promote`);
+      return;
+    }
+
+    const { data: store, error } = await supabase
+      .from('stores')
+      .select('id, baseline_homepage_url, step_baselines')
+      .eq('id', alert.store_id)
+      .single();
+
+    if (error) throw error;
+
+    await setStepBaseline(store, key, alert.after_url, {
+      reason: 'accepted',
+      promotedBy: actor,
+      approved: true,
+      alertId: alert.id,
+    });
+    log(`Alert ${alert.id} accepted — ${key} baseline promoted`);
+    return;
+  }
+
+  if (!alert.signature) {
+    log(`Alert ${alert.id} rejected — no signature to mute`);
+    return;
+  }
+
+  const { error } = await supabase.from('alert_mutes').insert({
+    store_id: alert.store_id,
+    step: key,
+    signature: alert.signature,
+    alert_id: alert.id,
+    created_by: actor,
+  });
+
+  if (error) throw error;
+  log(`Alert ${alert.id} rejected — signature ${alert.signature} muted`);
+}
+
+/**
+ * Records a user's decision on an alert and applies it straight away.
+ */
+async function resolveAlert(alertId, resolution, resolvedBy = null) {
+  if (resolution !== 'accepted' && resolution !== 'rejected') {
+    throw new Error(`Unknown resolution "${resolution}" (expected accepted or rejected)`);
+  }
+
+  let query = supabase
+    .from('alerts')
+    .update({ resolution, resolved_by: resolvedBy, resolved_at: new Date().toISOString() })
+    .eq('id', alertId)
+    .is('resolution_applied_at', null);
+  // Step failures can only be rejected (see applyAlertResolution)
+  if (resolution === 'accepted') query = query.neq('kind', 'step_failure');
+
+  const { data: alert, error } = await query
+    .select('id, store_id, kind, step, device, after_url, signature, resolution, resolved_by')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!alert) {
+    throw new Error(`Alert ${alertId} not found or already resolved${resolution === 'accepted' ? ' (step failures can only be rejected)' : ''}`);
+  }
+  await applyAlertResolution(alert);
+}
+
+/**
+ * Picks up decisions made in the dashboard (alerts.resolution set, not yet applied).
+ */
+async function runAlertResolutions() {
+  try {
+    const { data: alerts, error } = await supabase
+      .from('alerts')
+      .select('id, store_id, kind, step, device, after_url, signature, resolution, resolved_by')
+      .in('resolution', ['accepted', 'rejected'])
+      .is('resolution_applied_at', null)
+      .order('resolved_at', { ascending: true })
+      .limit(100);
+
+    if (error) throw error;
+
+    for (const alert of alerts) {
+      try {
+        await applyAlertResolution(alert);
+      } catch (err) {
+        logError(`Applying resolution for alert ${alert.id} failed: ${err.message}`);
+      }
+    }
+  } catch (err) {
+    logError(`Alert resolution run error: ${err.message}`);
+  }
+}
+
+// ────────────────────────────────────────────────
+// Visual Cycle Runner
+// ────────────────────────────────────────────────
+
+// Everything processStore needs from a store row
+const VISUAL_STORE_COLUMNS =
+  'id, url, baseline_homepage_url, step_baselines, journey, viewports, visual_masking, watch_rules, ' +
+  'perf_regression_factor, ignored_domains, maintenance_windows, maintenance_recapture_pending, ' +
+  'check_interval_minutes, last_checked';
+
+/**
+ * One visual cycle over the stores that are due. `all` ignores the per-store
+ * schedule and budget (used by the CLI dry run).
+ */
+async function runVisualChecks({ all = false } = {}) {
+  const cycleStart = Date.now();
+  const cycle = cycles.start('visual');
+  log('Starting visual check cycle', { cycle_id: cycle.id });
+
+  try {
+    const { data: stores, error } = await supabase
+      .from('stores')
+      .select(VISUAL_STORE_COLUMNS)
+      .eq('status', 'active');
+
+    if (error) throw error;
+    if (!stores?.length) {
+      log('No active stores for visual check');
+      return;
+    }
+
+    const { due, selected, deferred } = all
+      ? { due: stores, selected: stores, deferred: [] }
+      : planCycle(stores, {
+        now: cycleStart,
+        tickMs: VISUAL_TICK_MINUTES * 60 * 1000,
+        budgetMs: VISUAL_CYCLE_BUDGET_MS,
+        avgCheckMs: avgVisualCheckMs,
+        concurrency: VISUAL_CONCURRENCY,
+      });
+
+    if (!due.length) {
+      log(`No stores due for visual check (${stores.length} active)`);
+      return;
+    }
+
+    log(`Processing ${selected.length}/${due.length} due stores (visual), ${deferred.length} deferred`);
+    cycle.queued = selected.length;
+    metrics.queueDepth.set({ kind: 'visual' }, selected.length);
+
+    const browsers = createBrowserManager(BROWSER_CONFIG);
+
+    let summary;
+    try {
+      summary = await runPool(
+        selected,
+        (store, signal) => trackCheck(cycle, store, () => leases.withLease(store.id, 'visual', {
+          ttlMs: VISUAL_LEASE_TTL_MS,
+          onLost: () => logError(`Visual lease for ${store.id} lost`),
+        }, async () => {
+          // Another worker may have checked this store after our snapshot was taken
+          const { data: fresh } = await supabase
+            .from('stores')
+            .select('status, last_checked')
+            .eq('id', store.id)
+            .single();
+
+          if (fresh?.status !== 'active' || fresh.last_checked !== store.last_checked) return null;
+
+          const checkStart = Date.now();
+          const status = await processStore(browsers, store, signal);
+          avgVisualCheckMs = Math.round(avgVisualCheckMs * 0.8 + (Date.now() - checkStart) * 0.2);
+          return status === 'success';
+        })),
+        {
+          concurrency: VISUAL_CONCURRENCY,
+          timeoutMs: VISUAL_STORE_TIMEOUT_MS,
+          // Never start a check that would run into the next tick — leftovers stay due
+          shouldStart: (store, started) =>
+            all || started < VISUAL_CONCURRENCY || Date.now() - cycleStart + avgVisualCheckMs <= VISUAL_CYCLE_BUDGET_MS,
+          onError: (store, err) => logError(`Store ${store.id} visual check aborted: ${err.message}`),
+        }
+      );
+    } finally {
+      await browsers.close();
+    }
+
+    cycle.summary = { ...summary, deferred: deferred.length };
+    logCycleSummary('Visual', summary, deferred.length);
+  } catch (err) {
+    cycle.error = err.message;
+    logError(`Visual cycle error: ${err.message}`);
+  } finally {
+    finishCycle(cycle);
+  }
+}
+
+// ────────────────────────────────────────────────
+// Ping Cycle Runner (Mission 2.4.1)
+// ────────────────────────────────────────────────
+
+async function runPingChecks() {
+  const cycleStart = Date.now();
+  const cycle = cycles.start('ping');
+  log('Starting ping cycle', { cycle_id: cycle.id });
+
+  try {
+    const { data: stores, error } = await supabase
+      .from('stores')
+      .select('id, url, http_check, tls_expires_at, tls_warned_for, maintenance_windows, maintenance_recapture_pending')
+      .eq('status', 'active');
+
+    if (error) throw error;
+    if (!stores?.length) {
+      log('No active stores for ping');
+      return;
+    }
+
+    log(`Pinging ${stores.length} stores`);
+    cycle.queued = stores.length;
+    metrics.queueDepth.set({ kind: 'ping' }, stores.length);
+
+    const summary = await runPool(stores, (store) => trackCheck(cycle, store, () => leases.withLease(store.id, 'ping', {
+      ttlMs: PING_LEASE_TTL_MS,
+      holdMs: PING_COOLDOWN_MS,
+      onLost: () => logError(`Ping lease for ${store.id} lost`),
+    }, () => pingStore(store))), {
+      concurrency: PING_CONCURRENCY,
+      timeoutMs: PING_STORE_TIMEOUT_MS,
+      shouldStart: () => Date.now() - cycleStart <= PING_CYCLE_BUDGET_MS,
+      onError: (store, err) => logError(`Ping ${store.id} aborted: ${err.message}`),
+    });
+
+    cycle.summary = summary;
+    logCycleSummary('Ping', summary);
+  } catch (err) {
+    cycle.error = err.message;
+    logError(`Ping cycle error: ${err.message}`);
+  } finally {
+    finishCycle(cycle);
+  }
+}
+
+// ────────────────────────────────────────────────
+// One-off commands (see cli.js)
+// ────────────────────────────────────────────────
+
+async function loadStore(storeId) {
+  const { data: store, error } = await supabase
+    .from('stores')
+    .select(`${VISUAL_STORE_COLUMNS}, status, http_check, tls_expires_at, tls_warned_for`)
+    .eq('id', storeId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!store) throw new Error(`Store ${storeId} not found`);
+  return store;
+}
+
+// Runs fn(browsers) under the store's visual lease, so it never overlaps a worker's check
+async function withVisualCheck(store, fn) {
+  const browsers = createBrowserManager(BROWSER_CONFIG);
+  try {
+    const result = await leases.withLease(store.id, 'visual', {
+      ttlMs: VISUAL_LEASE_TTL_MS,
+      onLost: () => logError(`Visual lease for ${store.id} lost`),
+    }, () => fn(browsers));
+
+    if (result === null) throw new Error(`Store ${store.id} is being checked by another worker — try again shortly`);
+    return result;
+  } finally {
+    await browsers.close();
+  }
+}
+
+/**
+ * Checks one store right now, regardless of its schedule or status:
+ * the HTTP check (unless `ping` is false), then the visual journey.
+ */
+async function checkStore(storeId, { ping = true } = {}) {
+  const store = await loadStore(storeId);
+  const runId = crypto.randomUUID();
+
+  return logger.withContext({ store_id: store.id, run_id: runId }, async () => {
+    const isUp = ping ? await pingStore(store) : null;
+    const status = await withVisualCheck(store, (browsers) => processStore(browsers, store, null));
+    return { storeId: store.id, url: store.url, isUp, status };
+  });
+}
+
+/**
+ * Replaces every baseline of a store (all journey steps × devices) with a
+ * fresh capture, recorded as an approved 'manual_reset' in baseline_history.
+ */
+async function resetBaseline(storeId) {
+  const store = await loadStore(storeId);
+
+  return logger.withContext({ store_id: store.id, run_id: crypto.randomUUID() }, async () => {
+    const status = await withVisualCheck(store, (browsers) => processStore(browsers, store, null, { resetBaselines: true }));
+    return {
+      storeId: store.id,
+      status,
+      baselines: { homepage: store.baseline_homepage_url, ...store.step_baselines },
+    };
+  });
+}
+
+/**
+ * Captures any URL and, given a local baseline image, compares against it.
+ * Touches neither Supabase nor storage: the diff is returned as a buffer.
+ */
+async function checkUrl(url, { baseline = null, device = 'desktop', threshold = DIFF_THRESHOLD_PERCENT } = {}) {
+  const [viewport] = normalizeViewports([device]);
+  const browsers = createBrowserManager(BROWSER_CONFIG);
+
+  try {
+    const page = await openCheckPage(browsers, viewport);
+    try {
+      // The URL itself is the page under test, not the site root
+      const fullUrl = ensureHttps(url);
+      const [homepage] = normalizeJourney(null);
+      await runStep(page, { ...homepage, url: fullUrl }, fullUrl);
+      await applyMasking(page, normalizeMasking(null));
+      const screenshot = await page.screenshot({ fullPage: true, type: 'png' });
+
+      if (!baseline) return { screenshot, diffResult: null };
+
+      const diffResult = await compareImages(baseline, screenshot, {
+        device: viewport.name,
+        foldY: foldHeight(viewport),
+        threshold,
+        uploadDiff: 'never',
+        keepDiff: true,
+      });
+      return { screenshot, diffResult };
+    } finally {
+      await browsers.releasePage(page);
+    }
+  } finally {
+    await browsers.close();
+  }
+}
+
+// ────────────────────────────────────────────────
+// Scheduler (the `worker` command)
+// ────────────────────────────────────────────────
+
+function startWorker() {
+  init();
+
+  // Visual scheduler tick — each store runs on its own check_interval_minutes
+  cron.schedule(`*/${VISUAL_TICK_MINUTES} * * * *`, () => runVisualChecks());
+
+  // Ping checks every 5 minutes
+  cron.schedule('*/5 * * * *', () => runPingChecks());
+
+  // Uptime percentages hourly (the 24h / 7d / 30d windows slide)
+  cron.schedule('0 * * * *', () => refreshUptime());
+
+  // Accepted / rejected alerts from the dashboard every minute
+  cron.schedule('* * * * *', runAlertResolutions);
+
+  // Failed notification deliveries, retried with backoff
+  cron.schedule('* * * * *', runDeliveryRetries);
+
+  // Deactivated stores, each on its own slowing schedule (lib/failures.js)
+  cron.schedule('*/15 * * * *', runReprobes);
+
+  // Daily / weekly digests
+  cron.schedule(`0 ${DIGEST_HOUR} * * *`, runDigests, { timezone: 'UTC' });
+
+  // Nightly screenshot / diff retention (report-only unless RETENTION_DRY_RUN=false)
+  cron.schedule(`30 ${RETENTION_HOUR} * * *`, () => runRetention(), { timezone: 'UTC' });
+
+  // Immediate first runs
+  runVisualChecks();
+  runPingChecks();
+
+  const statusServer = createStatusServer({
+    port: STATUS_PORT,
+    tracker: cycles,
+    registry,
+    info: { owner: leases.owner, browserBackend: BROWSER_CONFIG.backend, storageBackend: storage.backend },
+  });
+
+  statusServer.listen()
+    .then((port) => log(`Status server on :${port} (/healthz, /status, /metrics)`))
+    .catch((err) => logError(`Status server failed to start: ${err.message}`));
+
+  log(`Worker started (${leases.owner})`);
+  log(`Visual scheduler every ${VISUAL_TICK_MINUTES} minutes (per-store intervals, first run immediate) | Ping checks every 5 minutes (first run immediate)`);
+
+  process.on('SIGTERM', () => {
+    log('SIGTERM received — shutting down');
+    process.exit(0);
+  });
+}
 
-process.on('SIGTERM', () => {
-  log('SIGTERM received — shutting down');
-  process.exit(0);
-});
\ No newline at end of file
+module.exports = {
+  init,
+  startWorker,
+  runVisualChecks,
+  runPingChecks,
+  checkStore,
+  checkUrl,
+  resetBaseline,
+  resolveAlert,
+  runRetention,
+};
+
+// `node index.js` still starts the worker, as before the CLI existed
+if (require.main === module) startWorker();
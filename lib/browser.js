@@ -0,0 +1,144 @@
+/**
+ * Pluggable browser backend
+ *
+ *   browserless — puppeteer.connect to Browserless (default, billed in units)
+ *   local       — puppeteer.launch a local Chromium (dev, CI, self-hosting)
+ *   cdp         — puppeteer.connect to any CDP endpoint (ws:// or http://)
+ *
+ * Pages are handed out from a small set of browsers: each browser holds at
+ * most `maxPages` pages and is retired after `recycleAfter` checks. A browser
+ * that crashes or disconnects is dropped and the next page gets a fresh one.
+ */
+
+const puppeteer = require('puppeteer');
+
+const BACKENDS = ['browserless', 'local', 'cdp'];
+
+async function launchBrowser({ backend, browserlessEndpoint, browserlessApiKey, cdpEndpoint, executablePath }) {
+  switch (backend) {
+    case 'browserless':
+      return puppeteer.connect({
+        browserWSEndpoint: `${browserlessEndpoint}?token=${browserlessApiKey}`,
+        acceptInsecureCerts: true,
+      });
+
+    case 'cdp':
+      if (!cdpEndpoint) throw new Error('BROWSER_CDP_ENDPOINT is required for the cdp backend');
+      return puppeteer.connect({
+        ...(cdpEndpoint.startsWith('http') ? { browserURL: cdpEndpoint } : { browserWSEndpoint: cdpEndpoint }),
+        acceptInsecureCerts: true,
+      });
+
+    case 'local':
+      return puppeteer.launch({
+        headless: true,
+        executablePath: executablePath || undefined,
+        acceptInsecureCerts: true,
+        args: ['--no-sandbox', '--disable-dev-shm-usage'],
+      });
+
+    default:
+      throw new Error(`Unknown browser backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+}
+
+function createBrowserManager({
+  backend = 'browserless',
+  maxPages = 5,
+  recycleAfter = 50,
+  ...launchOptions
+} = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown browser backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+
+  // { browser: Promise<Browser>, pages, checks, retired }
+  const slots = [];
+  const pageSlots = new Map();
+
+  function removeSlot(slot) {
+    const i = slots.indexOf(slot);
+    if (i !== -1) slots.splice(i, 1);
+  }
+
+  async function closeSlot(slot) {
+    removeSlot(slot);
+    try {
+      const browser = await slot.browser;
+      // A generic CDP browser may be shared with others — only drop our connection
+      if (backend === 'cdp') await browser.disconnect();
+      else await browser.close();
+    } catch {
+      // Already gone
+    }
+  }
+
+  function openSlot() {
+    const slot = { pages: 0, checks: 0, retired: false };
+    slot.browser = launchBrowser({ backend, ...launchOptions }).then((browser) => {
+      browser.once('disconnected', () => {
+        slot.retired = true;
+        removeSlot(slot);
+      });
+      return browser;
+    });
+    // A failed launch must not poison later acquires
+    slot.browser.catch(() => removeSlot(slot));
+    slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Opens a page on a browser with spare capacity, launching one if needed.
+   */
+  async function acquirePage() {
+    const slot = slots.find((s) => !s.retired && s.pages < maxPages) || openSlot();
+    slot.pages++;
+    slot.checks++;
+    if (slot.checks >= recycleAfter) slot.retired = true;
+
+    try {
+      const browser = await slot.browser;
+      const page = await browser.newPage();
+      pageSlots.set(page, slot);
+      return page;
+    } catch (err) {
+      // Newly launched or crashed browser — retire it so the next check starts fresh
+      slot.pages--;
+      slot.retired = true;
+      if (slot.pages === 0) await closeSlot(slot);
+      throw err;
+    }
+  }
+
+  /**
+   * Closes the page and retires its browser once recycled and drained.
+   */
+  async function releasePage(page) {
+    const slot = pageSlots.get(page);
+    pageSlots.delete(page);
+
+    if (!page.isClosed()) await page.close().catch(() => {});
+    if (!slot) return;
+
+    slot.pages--;
+    if (slot.retired && slot.pages === 0) await closeSlot(slot);
+  }
+
+  async function close() {
+    await Promise.all([...slots].map(closeSlot));
+  }
+
+  return {
+    backend,
+    usesBrowserless: backend === 'browserless',
+    acquirePage,
+    releasePage,
+    close,
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  createBrowserManager,
+};
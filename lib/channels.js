@@ -0,0 +1,180 @@
+/**
+ * Notification channels
+ *
+ * Each channel type turns one message into one delivery and throws when the
+ * receiving end refuses it (so the dispatcher can log and retry):
+ *
+ *   email    { email }                 — via Resend (defaults to the owner's login email)
+ *   webhook  { url, secret }           — JSON POST, HMAC-SHA256 signed
+ *   slack    { webhook_url }           — incoming webhook
+ *   discord  { webhook_url }
+ *   teams    { webhook_url }           — incoming webhook (MessageCard)
+ *   sms      { phone }                 — through the configured SMS provider
+ *
+ * A message is { type, severity, subject, text, html, link, headers, store, alert }
+ * (html and headers are email-only; see lib/emails.js).
+ */
+
+const crypto = require('crypto');
+
+const SEVERITY_COLORS = { red: '#ef4444', yellow: '#f59e0b', info: '#22c55e' };
+const REQUEST_TIMEOUT_MS = 10000;
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  }
+  return response;
+}
+
+/**
+ * Signature header value for a webhook body: sha256=HMAC(secret, "<timestamp>.<body>").
+ * Receivers should recompute it and reject stale timestamps.
+ */
+function signWebhook(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function webhookPayload(message) {
+  return {
+    event: message.type,
+    severity: message.severity,
+    subject: message.subject,
+    text: message.text,
+    link: message.link,
+    store: message.store,
+    alert: message.alert ?? null,
+    sent_at: new Date().toISOString(),
+  };
+}
+
+// ── SMS providers ──────────────────────────────────
+
+/**
+ * SMS goes through a provider with a single `send(to, text)` method.
+ * `twilio` uses the REST API; `webhook` POSTs { to, text } to a URL (gateways, local stand-ins).
+ */
+function createSmsProvider({ provider, twilioAccountSid, twilioAuthToken, twilioFrom, webhookUrl } = {}) {
+  switch (provider) {
+    case 'twilio':
+      return {
+        name: 'twilio',
+        async send(to, text) {
+          const auth = Buffer.from(`${twilioAccountSid}:${twilioAuthToken}`).toString('base64');
+          const response = await fetch(
+            `https://api.twilio.com/2010-04-01/Accounts/${twilioAccountSid}/Messages.json`,
+            {
+              method: 'POST',
+              headers: { Authorization: `Basic ${auth}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+              body: new URLSearchParams({ To: to, From: twilioFrom, Body: text }),
+              signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            }
+          );
+          if (!response.ok) throw new Error(`Twilio HTTP ${response.status}`);
+        },
+      };
+
+    case 'webhook':
+      return {
+        name: 'webhook',
+        async send(to, text) {
+          await postJson(webhookUrl, { to, text });
+        },
+      };
+
+    default:
+      return {
+        name: 'none',
+        async send() {
+          throw new Error('No SMS provider configured (SMS_PROVIDER)');
+        },
+      };
+  }
+}
+
+// ── Channels ───────────────────────────────────────
+
+function createChannels({ resend, emailFrom, smsProvider }) {
+  return {
+    async email(config, message) {
+      if (!config.email) throw new Error('No email address');
+      if (!resend) throw new Error('Email is not configured (RESEND_API_KEY)');
+      const { error } = await resend.emails.send({
+        from: emailFrom,
+        to: config.email,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        headers: message.headers,
+      });
+      if (error) throw new Error(error.message || 'Resend rejected the email');
+    },
+
+    async webhook(config, message) {
+      const body = JSON.stringify(webhookPayload(message));
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = { 'X-YAYA-Event': message.type, 'X-YAYA-Timestamp': timestamp };
+      if (config.secret) headers['X-YAYA-Signature'] = signWebhook(config.secret, timestamp, body);
+      await postJson(config.url, body, headers);
+    },
+
+    async slack(config, message) {
+      await postJson(config.webhook_url, {
+        text: message.subject,
+        attachments: [{
+          color: SEVERITY_COLORS[message.severity],
+          text: `${message.text}\n<${message.link}|View in dashboard>`,
+        }],
+      });
+    },
+
+    async discord(config, message) {
+      await postJson(config.webhook_url, {
+        username: 'YAYA Uptime',
+        embeds: [{
+          title: message.subject,
+          description: message.text,
+          url: message.link,
+          color: parseInt(SEVERITY_COLORS[message.severity].slice(1), 16),
+        }],
+      });
+    },
+
+    async teams(config, message) {
+      await postJson(config.webhook_url, {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        themeColor: SEVERITY_COLORS[message.severity].slice(1),
+        summary: message.subject,
+        title: message.subject,
+        text: message.text,
+        potentialAction: [{
+          '@type': 'OpenUri',
+          name: 'View in dashboard',
+          targets: [{ os: 'default', uri: message.link }],
+        }],
+      });
+    },
+
+    async sms(config, message) {
+      if (!config.phone) throw new Error('No phone number');
+      // Keep it to a single segment-ish message
+      await smsProvider.send(config.phone, `${message.subject}\n${message.link}`.slice(0, 300));
+    },
+  };
+}
+
+module.exports = {
+  signWebhook,
+  createSmsProvider,
+  createChannels,
+};
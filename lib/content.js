@@ -0,0 +1,249 @@
+/**
+ * Content (DOM / text) snapshots
+ *
+ * Pixel diffs miss small but important changes — a price going from $19 to
+ * $1.90, a "Sold out" label, a missing product title. Each captured step also
+ * records a content snapshot from the same (masked) page:
+ *
+ *   {
+ *     title:    document title,
+ *     text:     visible text lines,
+ *     elements: { price, add_to_cart, product_title },  // first visible match's text
+ *     links:    unique link targets,
+ *     watched:  { [rule name]: { present, text } }
+ *   }
+ *
+ * and diffs it against the baseline's snapshot. Stores add watch rules on
+ * `stores.watch_rules` (jsonb):
+ *
+ *   [
+ *     { "name": "Hero price", "selector": ".product .price" },          // missing or changed
+ *     { "selector": "#shipping-banner", "on": ["missing"] },
+ *     { "selector": ".stock-level", "on": ["changed"], "step": "product" }
+ *   ]
+ *
+ * Key elements changing, watch rules firing and alarming phrases ("sold out")
+ * appearing raise an alert on their own; other text and link changes are only
+ * listed alongside one.
+ */
+
+const { ADD_TO_CART_SELECTORS } = require('./journeys');
+
+const KEY_ELEMENTS = {
+  price: [
+    '[itemprop="price"]', '[data-product-price]', '.product-price', '.price-item--regular',
+    '.price-item--sale', '.woocommerce-Price-amount', '.productView-price .price', '.product__price',
+  ].join(', '),
+  add_to_cart: ADD_TO_CART_SELECTORS,
+  product_title: ['[itemprop="name"]', '.product__title', '.product-title', '.product_title', '.productView-title', 'h1'].join(', '),
+};
+
+const WATCH_EVENTS = ['missing', 'changed'];
+
+// New text matching these raises an alert even when nothing else changed
+const ALARM_PHRASES = /\b(sold out|out of stock|unavailable|no longer available|page not found|404|temporarily closed|coming soon)\b/i;
+
+const MAX_TEXT_LINES = 2000;
+const MAX_LINE_LENGTH = 300;
+const MAX_LINKS = 500;
+// Listed per kind in alerts; the rest is summarized as a count
+const MAX_LISTED_CHANGES = 10;
+
+/**
+ * Validates a raw `stores.watch_rules` value.
+ */
+function normalizeWatchRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((r) => r && typeof r.selector === 'string' && r.selector.trim())
+    .map((r, i) => {
+      const on = (Array.isArray(r.on) ? r.on : WATCH_EVENTS).filter((e) => WATCH_EVENTS.includes(e));
+      return {
+        name: String(r.name || r.selector || `rule-${i + 1}`).trim(),
+        selector: r.selector.trim(),
+        on: on.length ? on : WATCH_EVENTS,
+        step: r.step || null,
+      };
+    });
+}
+
+// Rules without `step` apply to every step
+function rulesForStep(rules, stepName) {
+  return rules.filter((r) => !r.step || r.step === stepName);
+}
+
+/**
+ * Captures the content snapshot of the current page.
+ */
+async function captureContent(page, rules = []) {
+  return page.evaluate(({ keyElements, rules, limits }) => {
+    const clean = (s) => (s || '').replace(/\s+/g, ' ').trim().slice(0, limits.lineLength);
+    const visible = (el) => {
+      if (!el.getClientRects().length) return false;
+      const style = getComputedStyle(el);
+      return style.visibility !== 'hidden' && style.opacity !== '0';
+    };
+    const describe = (el) => {
+      const text = clean(el.innerText || el.value || el.getAttribute('aria-label'));
+      return el.disabled || el.getAttribute('aria-disabled') === 'true' ? `${text} [disabled]` : text;
+    };
+    const safeQuery = (selector) => {
+      try {
+        return [...document.querySelectorAll(selector)];
+      } catch {
+        return [];
+      }
+    };
+
+    const seen = new Set();
+    const text = (document.body?.innerText || '')
+      .split('\n')
+      .map(clean)
+      .filter((line) => line && !seen.has(line) && seen.add(line))
+      .slice(0, limits.textLines);
+
+    const elements = {};
+    for (const [name, selector] of Object.entries(keyElements)) {
+      // The first match is the page's main one (product grids list many prices)
+      const el = safeQuery(selector).find(visible);
+      elements[name] = el ? describe(el) : null;
+    }
+
+    const links = [...new Set([...document.links].filter(visible).map((a) => a.href.split('#')[0]))].slice(0, limits.links);
+
+    const watched = {};
+    for (const rule of rules) {
+      const el = safeQuery(rule.selector).find(visible);
+      watched[rule.name] = { present: Boolean(el), text: el ? describe(el) : null };
+    }
+
+    return { title: clean(document.title), text, elements, links, watched };
+  }, {
+    keyElements: KEY_ELEMENTS,
+    rules,
+    limits: {
+      lineLength: MAX_LINE_LENGTH,
+      textLines: MAX_TEXT_LINES,
+      links: MAX_LINKS,
+    },
+  });
+}
+
+function setDiff(before = [], after = []) {
+  const previous = new Set(before);
+  const current = new Set(after);
+  return {
+    added: after.filter((v) => !previous.has(v)),
+    removed: before.filter((v) => !current.has(v)),
+  };
+}
+
+/**
+ * Diffs two snapshots. Each change is { kind, ...details, alerting }:
+ *
+ *   element   a key element changed, disappeared or appeared   (alerting unless it appeared)
+ *   watch     a watch rule fired                                (alerting)
+ *   title     the document title changed
+ *   text      a visible text line appeared / disappeared        (alerting on alarm phrases)
+ *   link      a link appeared / disappeared
+ *
+ * @returns {{ changes: Array, alerting: boolean, severity: 'red' | 'yellow' | null }}
+ */
+function diffContent(before, after, rules = []) {
+  const changes = [];
+
+  for (const name of Object.keys(KEY_ELEMENTS)) {
+    const was = before.elements?.[name] ?? null;
+    const now = after.elements?.[name] ?? null;
+    if (was === now) continue;
+    const change = now == null ? 'missing' : was == null ? 'appeared' : 'changed';
+    changes.push({ kind: 'element', element: name, change, before: was, after: now, alerting: change !== 'appeared' });
+  }
+
+  for (const rule of rules) {
+    const was = before.watched?.[rule.name];
+    const now = after.watched?.[rule.name];
+    // A rule added since the baseline was captured has nothing to compare with yet
+    if (!was || !now) continue;
+
+    if (was.present && !now.present && rule.on.includes('missing')) {
+      changes.push({ kind: 'watch', rule: rule.name, selector: rule.selector, change: 'missing', before: was.text, after: null, alerting: true });
+    } else if (was.present && now.present && was.text !== now.text && rule.on.includes('changed')) {
+      changes.push({ kind: 'watch', rule: rule.name, selector: rule.selector, change: 'changed', before: was.text, after: now.text, alerting: true });
+    }
+  }
+
+  if (before.title !== after.title) {
+    changes.push({ kind: 'title', change: 'changed', before: before.title, after: after.title, alerting: false });
+  }
+
+  const text = setDiff(before.text, after.text);
+  for (const line of text.added) changes.push({ kind: 'text', change: 'added', after: line, alerting: ALARM_PHRASES.test(line) });
+  for (const line of text.removed) changes.push({ kind: 'text', change: 'removed', before: line, alerting: false });
+
+  const links = setDiff(before.links, after.links);
+  for (const href of links.added) changes.push({ kind: 'link', change: 'added', after: href, alerting: false });
+  for (const href of links.removed) changes.push({ kind: 'link', change: 'removed', before: href, alerting: false });
+
+  const alerting = changes.filter((c) => c.alerting);
+  // Losing the price or the add-to-cart button, or a fired watch rule, is as bad as it gets
+  const red = alerting.some((c) =>
+    c.kind === 'watch' ||
+    (c.kind === 'element' && c.change === 'missing' && c.element !== 'product_title'));
+
+  return {
+    changes,
+    alerting: alerting.length > 0,
+    severity: alerting.length ? (red ? 'red' : 'yellow') : null,
+  };
+}
+
+/**
+ * Keeps every alerting change and at most MAX_LISTED_CHANGES of the others per
+ * kind, so a redesigned page doesn't turn into a thousand-line alert.
+ */
+function summarizeChanges(changes) {
+  const listed = [];
+  const counts = {};
+  for (const change of changes) {
+    counts[change.kind] = (counts[change.kind] ?? 0) + 1;
+    if (change.alerting || counts[change.kind] <= MAX_LISTED_CHANGES) listed.push(change);
+  }
+  return { changes: listed, omitted: changes.length - listed.length };
+}
+
+const ELEMENT_LABELS = { price: 'Price', add_to_cart: 'Add-to-cart button', product_title: 'Product title' };
+
+/**
+ * One human-readable line per change, e.g. `Price changed: "$19.00" → "$1.90"`.
+ */
+function describeChange(change) {
+  const label = change.kind === 'element' ? ELEMENT_LABELS[change.element] ?? change.element
+    : change.kind === 'watch' ? `Watched "${change.rule}"`
+      : change.kind === 'title' ? 'Page title'
+        : change.kind === 'link' ? 'Link'
+          : 'Text';
+
+  switch (change.change) {
+    case 'missing':
+      return `${label} disappeared (was "${change.before ?? ''}")`;
+    case 'appeared':
+      return `${label} appeared: "${change.after}"`;
+    case 'added':
+      return `${label} added: "${change.after}"`;
+    case 'removed':
+      return `${label} removed: "${change.before}"`;
+    default:
+      return `${label} changed: "${change.before ?? ''}" → "${change.after ?? ''}"`;
+  }
+}
+
+module.exports = {
+  KEY_ELEMENTS,
+  normalizeWatchRules,
+  rulesForStep,
+  captureContent,
+  diffContent,
+  summarizeChanges,
+  describeChange,
+};
@@ -0,0 +1,102 @@
+/**
+ * Dry-run wrappers
+ *
+ * A dry run captures and compares exactly like a real check, but nothing it
+ * produces leaves the process: Supabase writes, storage uploads and
+ * notifications are reported through `onWrite` and dropped. Reads still hit
+ * the real services so the run sees real stores and baselines.
+ */
+
+const WRITE_METHODS = ['insert', 'update', 'upsert', 'delete'];
+
+/**
+ * Stand-in for a PostgREST builder after a write: every chained filter is
+ * accepted and awaiting it resolves without error. Inserted rows come back
+ * (with a placeholder id) so callers that read their insert keep working, and
+ * an update reports one matched row, so conditional claims and lease
+ * heartbeats see the write as applied.
+ */
+function fakeQuery(rows) {
+  let single = false;
+
+  const query = new Proxy({}, {
+    get(_, prop) {
+      if (prop === 'then') {
+        const data = rows && (single ? rows[0] ?? null : rows);
+        return (resolve, reject) => Promise.resolve({ data, error: null, count: null, status: 200 }).then(resolve, reject);
+      }
+      if (prop === 'single' || prop === 'maybeSingle') {
+        return () => {
+          single = true;
+          return query;
+        };
+      }
+      return () => query;
+    },
+  });
+
+  return query;
+}
+
+function insertedRows(values) {
+  const list = Array.isArray(values) ? values : [values];
+  return list.map((row, i) => ({ id: `dry-run-${Date.now()}-${i}`, created_at: new Date().toISOString(), ...row }));
+}
+
+function writtenRows(method, values) {
+  if (method === 'insert' || method === 'upsert') return insertedRows(values);
+  return method === 'update' ? [{ ...values }] : [];
+}
+
+function bindAll(target, prop) {
+  const value = target[prop];
+  return typeof value === 'function' ? value.bind(target) : value;
+}
+
+function createDryRunSupabase(supabase, { onWrite }) {
+  return new Proxy(supabase, {
+    get(target, prop) {
+      if (prop !== 'from') return bindAll(target, prop);
+
+      return (table) => new Proxy(target.from(table), {
+        get(builder, method) {
+          if (!WRITE_METHODS.includes(method)) return bindAll(builder, method);
+
+          return (values) => {
+            onWrite('supabase', `${method} ${table}`, values);
+            return fakeQuery(writtenRows(method, values));
+          };
+        },
+      });
+    },
+  });
+}
+
+function createDryRunStorage(storage, { onWrite }) {
+  return {
+    ...storage,
+    async put(key, buffer) {
+      onWrite('storage', `put ${key}`, { bytes: buffer.length });
+      return storage.publicUrl(key);
+    },
+    async delete(keys) {
+      onWrite('storage', `delete ${keys.length} objects`, { keys: keys.slice(0, 5) });
+      return 0;
+    },
+  };
+}
+
+// Every channel type accepts the message and reports it instead of sending
+function createDryRunChannels({ onWrite }) {
+  return new Proxy({}, {
+    get: (_, type) => async (config, message) => {
+      onWrite('notification', `${type} ${message.type}`, { severity: message.severity, subject: message.subject });
+    },
+  });
+}
+
+module.exports = {
+  createDryRunSupabase,
+  createDryRunStorage,
+  createDryRunChannels,
+};
@@ -0,0 +1,540 @@
+/**
+ * Email templates
+ *
+ * Every alert and digest is rendered here into { subject, html, text, link, headers }.
+ * HTML goes through the `html` tag, which escapes every interpolated value unless
+ * it is itself an `html` fragment — store URLs, error messages and step names
+ * come from customers and the pages we check, so they are never trusted.
+ *
+ * Branding and links are configured once:
+ *
+ *   createEmailTemplates({
+ *     brandName: 'YAYA Uptime',
+ *     tagline: 'Visual Store Monitoring',
+ *     logoUrl: null,
+ *     appUrl: 'https://www.yayauptime.com',
+ *     unsubscribeSecret,                   // signs one-click unsubscribe links
+ *   })
+ *
+ * Unsubscribe links point at the dashboard (`/unsubscribe?user=…&token=…`),
+ * which disables the user's email channels; the worker only needs to sign them.
+ */
+
+const crypto = require('crypto');
+const { formatDuration } = require('./incidents');
+const { describeChange } = require('./content');
+const { describeRegression } = require('./perf');
+const { describeIssue } = require('./page-issues');
+
+const COLORS = { red: '#ef4444', yellow: '#f59e0b', info: '#22c55e', link: '#60a5fa' };
+
+// ── Escaping ───────────────────────────────────────
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderValue(value) {
+  if (value == null || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template: html`<p>${untrusted}</p>` escapes the value;
+ * nested html`` fragments and arrays of them pass through as markup.
+ */
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += renderValue(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// Only http(s) links make it into an href/src
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : '#';
+  } catch {
+    return '#';
+  }
+}
+
+// Store URLs are usually saved without a scheme (same rule as index.js's ensureHttps)
+function ensureHttps(url) {
+  return String(url).startsWith('http') ? url : `https://${url}`;
+}
+
+function deviceSuffix(alert) {
+  return alert.device && alert.device !== 'desktop' ? ` (${alert.device})` : '';
+}
+
+// alerts.text_changes ({ changes, omitted }) as lines, alerting changes first
+function textChangeLines(textChanges) {
+  if (!textChanges?.changes?.length) return [];
+  const ordered = [...textChanges.changes].sort((a, b) => Number(b.alerting) - Number(a.alerting));
+  const lines = ordered.map(describeChange);
+  if (textChanges.omitted) lines.push(`…and ${textChanges.omitted} more`);
+  return lines;
+}
+
+// Owner-facing wording for lib/failures.js categories
+const FAILURE_LABELS = {
+  dns: 'domain does not resolve',
+  connection: 'connection refused or reset',
+  tls: 'SSL/TLS error',
+  timeout: 'timed out',
+  http_status: 'error response',
+};
+
+function failureLabel(failure) {
+  const label = FAILURE_LABELS[failure?.category] || 'unreachable';
+  return failure?.status ? `${label}, HTTP ${failure.status}` : label;
+}
+
+// ── Templates ──────────────────────────────────────
+
+function createEmailTemplates({
+  brandName = 'YAYA Uptime',
+  tagline = 'Visual Store Monitoring',
+  logoUrl = null,
+  appUrl = 'https://www.yayauptime.com',
+  unsubscribeSecret = null,
+} = {}) {
+  const base = appUrl.replace(/\/+$/, '');
+
+  const links = {
+    dashboard: () => `${base}/dashboard`,
+    alert: (id) => `${base}/dashboard/alerts/${encodeURIComponent(id)}`,
+    preferences: () => `${base}/dashboard/settings/notifications`,
+    unsubscribe(userId) {
+      if (!unsubscribeSecret || !userId) return links.preferences();
+      const token = crypto.createHmac('sha256', unsubscribeSecret).update(String(userId)).digest('hex');
+      return `${base}/unsubscribe?user=${encodeURIComponent(userId)}&token=${token}`;
+    },
+  };
+
+  function layout({ title, color, body, cta, userId }) {
+    const unsubscribe = links.unsubscribe(userId);
+    return html`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+</head>
+<body style="background:#0a0a0a; color:#fff; font-family:system-ui,sans-serif; margin:0; padding:0;">
+  <div style="max-width:600px; margin:40px auto; padding:20px;">
+    <div style="background:#111; padding:20px; text-align:center; border-radius:8px 8px 0 0;">
+      ${logoUrl ? html`<img src="${safeUrl(logoUrl)}" alt="${brandName}" style="max-height:40px;"><br>` : ''}
+      <h1 style="color:${color}; margin:0;">${title}</h1>
+    </div>
+    <div style="background:#1a1a1a; padding:30px; border-radius:0 0 8px 8px;">
+      ${body}
+      ${cta ? html`<p><a href="${safeUrl(cta.href)}" style="display:inline-block; background:${color}; color:white; padding:16px 32px; text-decoration:none; border-radius:8px; font-weight:bold; font-size:16px; margin-top:20px;">${cta.label}</a></p>` : ''}
+      <p style="margin-top:30px; color:#666; font-size:13px;">
+        ${brandName} • ${tagline}<br>
+        <a href="${safeUrl(links.preferences())}" style="color:#666;">Manage notifications</a> •
+        <a href="${safeUrl(unsubscribe)}" style="color:#666;">Unsubscribe</a>
+      </p>
+    </div>
+  </div>
+</body>
+</html>`.toString();
+  }
+
+  function textFooter(userId) {
+    return [
+      '',
+      '—',
+      `${brandName} • ${tagline}`,
+      `Manage notifications: ${links.preferences()}`,
+      `Unsubscribe: ${links.unsubscribe(userId)}`,
+    ].join('\n');
+  }
+
+  function unsubscribeHeaders(userId) {
+    const headers = { 'List-Unsubscribe': `<${links.unsubscribe(userId)}>` };
+    // One-click POST only works on the signed link; the preferences page fallback doesn't take it
+    if (unsubscribeSecret && userId) headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+    return headers;
+  }
+
+  const storeLink = (store) => html`<a href="${safeUrl(ensureHttps(store.url))}" style="color:${COLORS.link};">${store.url}</a>`;
+
+  // Per-type content; each returns { subject, color, title, body, lines, link }
+  const ALERTS = {
+    ping({ store, alert }) {
+      const incident = alert.incident ?? {};
+      return {
+        subject: `🚨 Your store is DOWN: ${store.url}`,
+        color: COLORS.red,
+        title: 'Site Down Alert',
+        link: links.dashboard(),
+        body: html`
+          <p>Your store <strong>${storeLink(store)}</strong> has been unreachable for ${incident.failure_count ?? 'multiple'} consecutive checks.</p>
+          ${incident.last_error ? html`<p style="color:${COLORS.yellow};"><strong>Last error:</strong> ${incident.last_error}</p>` : ''}
+          <p>Please check your hosting/server immediately.</p>`,
+        lines: [
+          `${store.url} has been unreachable for ${incident.failure_count ?? 'multiple'} consecutive checks.`,
+          incident.last_error && `Last error: ${incident.last_error}`,
+          'Please check your hosting/server immediately.',
+        ],
+      };
+    },
+
+    ping_reminder({ store, alert }) {
+      const { incident } = alert;
+      const downFor = formatDuration(Date.now() - new Date(incident.started_at).getTime());
+      return {
+        subject: `🚨 Still DOWN (${downFor}): ${store.url}`,
+        color: COLORS.red,
+        title: 'Your store is still down',
+        link: links.dashboard(),
+        body: html`
+          <p>Your store <strong>${storeLink(store)}</strong> has been unreachable for <strong>${downFor}</strong> (${incident.failure_count} failed checks).</p>
+          ${incident.last_error ? html`<p style="color:${COLORS.yellow};"><strong>Last error:</strong> ${incident.last_error}</p>` : ''}`,
+        lines: [
+          `${store.url} has been unreachable for ${downFor} (${incident.failure_count} failed checks).`,
+          incident.last_error && `Last error: ${incident.last_error}`,
+        ],
+      };
+    },
+
+    tls_expiry({ store, alert }) {
+      const { daysLeft, validTo, issuer } = alert.certificate;
+      const when = daysLeft < 0 ? 'has expired' : `expires in ${daysLeft} days`;
+      const detail = `${validTo.toUTCString()}${issuer ? `, issued by ${issuer}` : ''}`;
+      return {
+        subject: daysLeft < 0
+          ? `🚨 SSL certificate EXPIRED: ${store.url}`
+          : `⚠️ SSL certificate expires in ${daysLeft} days: ${store.url}`,
+        color: daysLeft < 0 ? COLORS.red : COLORS.yellow,
+        title: daysLeft < 0 ? 'SSL Certificate Expired' : 'SSL Certificate Expiring',
+        link: links.dashboard(),
+        body: html`
+          <p>The certificate for <strong>${storeLink(store)}</strong> <strong>${when}</strong> (${detail}).</p>
+          <p>Shoppers will see a security warning once it expires. Renew it with your host or certificate provider.</p>`,
+        lines: [
+          `The SSL certificate for ${store.url} ${when} (${detail}).`,
+          'Shoppers will see a security warning once it expires. Renew it with your host or certificate provider.',
+        ],
+      };
+    },
+
+    recovery({ store, alert }) {
+      const { incident } = alert;
+      const downtime = formatDuration(new Date(incident.resolved_at) - new Date(incident.started_at));
+      return {
+        subject: `✅ Your store is back UP: ${store.url}`,
+        color: COLORS.info,
+        title: 'Store Recovered',
+        link: links.dashboard(),
+        body: html`
+          <p>Your store <strong>${storeLink(store)}</strong> is reachable again.</p>
+          <p><strong>Total downtime:</strong> ${downtime} (${incident.failure_count} failed checks)</p>`,
+        lines: [
+          `${store.url} is reachable again.`,
+          `Total downtime: ${downtime} (${incident.failure_count} failed checks)`,
+        ],
+      };
+    },
+
+    step({ store, alert }) {
+      const device = alert.device || 'desktop';
+      return {
+        subject: `🚨 Journey step "${alert.step}" failed on ${store.url}${deviceSuffix(alert)}`,
+        color: COLORS.red,
+        title: 'Journey Step Failed',
+        link: links.alert(alert.id),
+        body: html`
+          <p>Your store <strong>${storeLink(store)}</strong> loads, but the <strong>${alert.step}</strong> step of its shopping journey could not be completed on <strong>${device}</strong>.</p>
+          <p style="color:${COLORS.yellow};"><strong>Reason:</strong> ${alert.error_message}</p>
+          ${alert.after_url ? html`<p><img src="${safeUrl(alert.after_url)}" alt="Page at failure" style="max-width:100%; border:3px solid #333; border-radius:8px;"></p>` : ''}`,
+        lines: [
+          `The ${alert.step} step of the shopping journey on ${store.url} could not be completed on ${device}.`,
+          `Reason: ${alert.error_message}`,
+          alert.after_url && `Screenshot: ${alert.after_url}`,
+        ],
+      };
+    },
+
+    deactivation_warning({ store, alert }) {
+      const { failure, remaining } = alert;
+      return {
+        subject: `⚠️ Monitoring will pause after ${remaining} more failed checks: ${store.url}`,
+        color: COLORS.yellow,
+        title: 'Your store keeps failing checks',
+        link: links.dashboard(),
+        body: html`
+          <p>The last ${alert.failed_attempts} checks of <strong>${storeLink(store)}</strong> failed (${failureLabel(failure)}).</p>
+          <p style="color:${COLORS.yellow};"><strong>Last error:</strong> ${failure.message}</p>
+          <p>After ${remaining} more failures we'll pause full checks and only probe the site until it's reachable again.</p>`,
+        lines: [
+          `The last ${alert.failed_attempts} checks of ${store.url} failed (${failureLabel(failure)}).`,
+          `Last error: ${failure.message}`,
+          `After ${remaining} more failures we'll pause full checks and only probe the site until it's reachable again.`,
+        ],
+      };
+    },
+
+    deactivated({ store, alert }) {
+      const { failure } = alert;
+      return {
+        subject: `🚨 Monitoring paused — store unreachable: ${store.url}`,
+        color: COLORS.red,
+        title: 'Monitoring Paused',
+        link: links.dashboard(),
+        body: html`
+          <p><strong>${storeLink(store)}</strong> failed ${alert.failed_attempts} checks in a row (${failureLabel(failure)}), so full checks are paused.</p>
+          <p style="color:${COLORS.yellow};"><strong>Last error:</strong> ${failure.message}</p>
+          <p>We'll keep probing it on a slower schedule and resume monitoring automatically — and tell you — once it responds.</p>`,
+        lines: [
+          `${store.url} failed ${alert.failed_attempts} checks in a row (${failureLabel(failure)}), so full checks are paused.`,
+          `Last error: ${failure.message}`,
+          "We'll keep probing it on a slower schedule and resume monitoring automatically once it responds.",
+        ],
+      };
+    },
+
+    reactivated({ store, alert }) {
+      const paused = alert.deactivated_at && formatDuration(new Date(alert.reactivated_at) - new Date(alert.deactivated_at));
+      return {
+        subject: `✅ Monitoring resumed: ${store.url}`,
+        color: COLORS.info,
+        title: 'Monitoring Resumed',
+        link: links.dashboard(),
+        body: html`
+          <p><strong>${storeLink(store)}</strong> is reachable again, so full checks have resumed.</p>
+          ${paused ? html`<p><strong>Paused for:</strong> ${paused}</p>` : ''}`,
+        lines: [
+          `${store.url} is reachable again, so full checks have resumed.`,
+          paused && `Paused for: ${paused}`,
+        ],
+      };
+    },
+
+    content({ store, alert }) {
+      const device = alert.device || 'desktop';
+      const textChanges = textChangeLines(alert.text_changes);
+      const shots = [['Before', alert.before_url], ['After', alert.after_url]].filter(([, url]) => url);
+
+      return {
+        subject: `${alert.type === 'red' ? '🚨' : '⚠️'} Content changed on ${store.url}${deviceSuffix(alert)}: ${textChanges[0] ?? alert.step}`,
+        color: alert.type === 'red' ? COLORS.red : COLORS.yellow,
+        title: 'Content Change Detected',
+        link: links.alert(alert.id),
+        body: html`
+          <p><strong>Store:</strong> ${storeLink(store)}</p>
+          <p><strong>Page:</strong> ${alert.step} • <strong>Device:</strong> ${device}</p>
+          <p>The page looks almost the same (${alert.diff_percentage ?? 0}% of pixels changed), but its content did:</p>
+          <ul style="color:#ccc; padding-left:20px;">${textChanges.map((line) => html`<li>${line}</li>`)}</ul>
+          <div style="margin:25px 0;">
+            ${shots.map(([label, url]) => html`<p><strong>${label}</strong></p><img src="${safeUrl(url)}" alt="${label}" style="max-width:100%; border:3px solid #333; border-radius:8px;">`)}
+          </div>`,
+        lines: [
+          `Content changed on ${store.url} (${alert.diff_percentage ?? 0}% of pixels changed)`,
+          `Page: ${alert.step} • Device: ${device}`,
+          '',
+          ...textChanges.map((line) => `  - ${line}`),
+          '',
+          ...shots.map(([label, url]) => `${label}: ${url}`),
+        ],
+      };
+    },
+
+    performance({ store, alert }) {
+      const device = alert.device || 'desktop';
+      const regressions = (alert.perf_regressions ?? []).map(describeRegression);
+      return {
+        subject: `${alert.type === 'red' ? '🚨' : '⚠️'} ${store.url}${deviceSuffix(alert)} got slower: ${regressions[0] ?? alert.step}`,
+        color: alert.type === 'red' ? COLORS.red : COLORS.yellow,
+        title: 'Performance Regression',
+        link: links.alert(alert.id),
+        body: html`
+          <p><strong>Store:</strong> ${storeLink(store)}</p>
+          <p><strong>Page:</strong> ${alert.step} • <strong>Device:</strong> ${device}</p>
+          <p>Compared with its recent checks, this page is now:</p>
+          <ul style="color:#ccc; padding-left:20px;">${regressions.map((line) => html`<li>${line}</li>`)}</ul>
+          <p>Slower pages cost sales even when they look the same — a recent theme, app or script change is the usual cause.</p>`,
+        lines: [
+          `${store.url} (${alert.step}, ${device}) got slower compared with its recent checks:`,
+          ...regressions.map((line) => `  - ${line}`),
+          '',
+          'Slower pages cost sales even when they look the same — a recent theme, app or script change is the usual cause.',
+        ],
+      };
+    },
+
+    page_issues({ store, alert }) {
+      const device = alert.device || 'desktop';
+      const issues = (alert.page_issues ?? []).map((issue) => `${describeIssue(issue)}${issue.step ? ` — ${issue.step}` : ''}`);
+      const listed = issues.slice(0, 20);
+      const more = issues.length - listed.length;
+      return {
+        subject: `${alert.type === 'red' ? '🚨' : '⚠️'} New errors on ${store.url}${deviceSuffix(alert)}: ${issues[0] ?? alert.step}`,
+        color: alert.type === 'red' ? COLORS.red : COLORS.yellow,
+        title: 'New Page Errors',
+        link: links.alert(alert.id),
+        body: html`
+          <p><strong>Store:</strong> ${storeLink(store)} • <strong>Device:</strong> ${device}</p>
+          <p>These errors weren't there on the previous check:</p>
+          <ul style="color:#ccc; padding-left:20px;">${listed.map((line) => html`<li>${line}</li>`)}</ul>
+          ${more ? html`<p>…and ${more} more.</p>` : ''}
+          <p>Noisy third-party domains can be ignored in the store's settings.</p>`,
+        lines: [
+          `New errors on ${store.url} (${device}) that weren't there on the previous check:`,
+          ...listed.map((line) => `  - ${line}`),
+          more && `  …and ${more} more`,
+          '',
+          "Noisy third-party domains can be ignored in the store's settings.",
+        ],
+      };
+    },
+
+    visual({ store, alert }) {
+      const device = alert.device || 'desktop';
+      const height = alert.height_change;
+      const heightLine = height &&
+        `Page height: ${height.from}px → ${height.to}px (${height.deltaPercentage > 0 ? '+' : ''}${height.deltaPercentage}%)`;
+      const regions = (alert.changed_regions ?? []).slice(0, 5).map((r) =>
+        `${r.aboveFold ? 'Above the fold' : 'Below the fold'} — ${r.width}×${r.height}px at ${r.x},${r.y} (${r.percentage}% of page)`);
+      const shots = [
+        ['Before', alert.before_url],
+        ['After', alert.after_url],
+        ['Highlighted Diff', alert.diff_url],
+      ].filter(([, url]) => url);
+      const textChanges = textChangeLines(alert.text_changes);
+
+      return {
+        subject: `🚨 Visual change on ${store.url}${deviceSuffix(alert)} – ${alert.diff_percentage}%`,
+        color: COLORS.red,
+        title: `🚨 ${brandName} Alert`,
+        link: links.alert(alert.id),
+        body: html`
+          <p><strong>Store:</strong> ${storeLink(store)}</p>
+          <p><strong>Page:</strong> ${alert.step} • <strong>Device:</strong> ${device}</p>
+          <p style="font-size:26px; font-weight:bold; color:${COLORS.yellow};">Visual change detected: ${alert.diff_percentage}%</p>
+          ${heightLine ? html`<p>${heightLine}</p>` : ''}
+          ${regions.length ? html`
+          <p><strong>What moved:</strong></p>
+          <ul style="color:#ccc; padding-left:20px;">${regions.map((r) => html`<li>${r}</li>`)}</ul>` : ''}
+          ${textChanges.length ? html`
+          <p><strong>Text changes:</strong></p>
+          <ul style="color:#ccc; padding-left:20px;">${textChanges.map((line) => html`<li>${line}</li>`)}</ul>` : ''}
+          <div style="margin:25px 0;">
+            ${shots.map(([label, url]) => html`<p><strong>${label}</strong></p><img src="${safeUrl(url)}" alt="${label}" style="max-width:100%; border:3px solid #333; border-radius:8px;">`)}
+          </div>`,
+        lines: [
+          `Visual change detected on ${store.url}: ${alert.diff_percentage}%`,
+          `Page: ${alert.step} • Device: ${device}`,
+          heightLine,
+          regions.length && ['What moved:', ...regions.map((r) => `  - ${r}`)].join('\n'),
+          textChanges.length && ['Text changes:', ...textChanges.map((line) => `  - ${line}`)].join('\n'),
+          '',
+          ...shots.map(([label, url]) => `${label}: ${url}`),
+        ],
+      };
+    },
+  };
+
+  /**
+   * Renders one real-time alert.
+   *
+   * @param {string} type  ping | ping_reminder | tls_expiry | recovery | step | visual | content |
+   *                       performance | page_issues | deactivation_warning | deactivated | reactivated
+   */
+  function alert(type, { store, alert: data, userId }) {
+    const content = (ALERTS[type] || ALERTS.visual)({ store, alert: data });
+    const cta = { href: content.link, label: 'View in Dashboard →' };
+
+    return {
+      subject: content.subject,
+      html: layout({ title: content.title, color: content.color, body: content.body, cta, userId }),
+      text: [
+        ...content.lines.filter((line) => line || line === ''),
+        '',
+        `View in dashboard: ${content.link}`,
+        textFooter(userId),
+      ].join('\n'),
+      link: content.link,
+      headers: unsubscribeHeaders(userId),
+    };
+  }
+
+  /**
+   * Renders a daily/weekly summary.
+   *
+   * @param {{ period: 'daily'|'weekly', from: Date, to: Date, userId: string,
+   *   stores: Array<{ url: string, uptime: number, failedPings: number, pings: number,
+   *     incidents: number, runs: number, failedRuns: number, visualChanges: number, redAlerts: number }> }} digest
+   */
+  function digest({ period, from, to, stores, userId }) {
+    const label = period === 'weekly' ? 'Weekly' : 'Daily';
+    const range = `${from.toISOString().slice(0, 10)} – ${to.toISOString().slice(0, 10)}`;
+    const needsAttention = stores.filter((s) => s.incidents || s.failedRuns || s.redAlerts);
+
+    const rows = stores.map((s) => html`
+      <tr>
+        <td style="padding:8px; border-bottom:1px solid #333;">${storeLink(s)}</td>
+        <td style="padding:8px; border-bottom:1px solid #333; color:${s.uptime < 99 ? COLORS.red : COLORS.info};">${s.uptime}%</td>
+        <td style="padding:8px; border-bottom:1px solid #333;">${s.incidents}</td>
+        <td style="padding:8px; border-bottom:1px solid #333;">${s.visualChanges}${s.redAlerts ? ` (${s.redAlerts} red)` : ''}</td>
+        <td style="padding:8px; border-bottom:1px solid #333;">${s.failedRuns}/${s.runs}</td>
+      </tr>`);
+
+    const body = html`
+      <p>${range} • ${stores.length} store${stores.length === 1 ? '' : 's'} • ${needsAttention.length ? `${needsAttention.length} need${needsAttention.length === 1 ? 's' : ''} attention` : 'all quiet'}</p>
+      <table style="width:100%; border-collapse:collapse; color:#fff; font-size:14px;">
+        <tr style="text-align:left; color:#999;">
+          <th style="padding:8px;">Store</th><th style="padding:8px;">Uptime</th><th style="padding:8px;">Outages</th>
+          <th style="padding:8px;">Visual changes</th><th style="padding:8px;">Failed checks</th>
+        </tr>
+        ${rows}
+      </table>`;
+
+    const lines = stores.map((s) =>
+      `${s.url}\n  Uptime ${s.uptime}% • ${s.incidents} outage(s) • ${s.failedPings}/${s.pings} failed pings\n` +
+      `  ${s.visualChanges} visual change(s)${s.redAlerts ? ` (${s.redAlerts} red)` : ''} • ${s.failedRuns}/${s.runs} failed visual checks`);
+
+    return {
+      subject: `${label} summary: ${needsAttention.length ? `${needsAttention.length} of ${stores.length} stores need attention` : `all ${stores.length} stores healthy`}`,
+      html: layout({
+        title: `${label} Summary`,
+        color: needsAttention.length ? COLORS.yellow : COLORS.info,
+        body,
+        cta: { href: links.dashboard(), label: 'Open Dashboard →' },
+        userId,
+      }),
+      text: [`${label} summary, ${range}`, '', ...lines, '', `Dashboard: ${links.dashboard()}`, textFooter(userId)].join('\n'),
+      link: links.dashboard(),
+      headers: unsubscribeHeaders(userId),
+    };
+  }
+
+  return { alert, digest, links };
+}
+
+module.exports = {
+  escapeHtml,
+  html,
+  safeUrl,
+  createEmailTemplates,
+};
@@ -0,0 +1,190 @@
+/**
+ * Failure classification
+ *
+ * Maps low-level errors (Node/undici socket errors, Chromium net:: errors,
+ * our own check failures) onto a small set of categories that alerts, logs
+ * and the dashboard share:
+ *
+ *   dns, connection, tls, timeout, http_status   — the store (or its host) failed
+ *   bot_blocked                                  — the store is up but refuses our bot
+ *   worker                                       — our side failed (R2, Supabase, Browserless)
+ *   unknown
+ *
+ * Only store-side categories count towards deactivating a store, and only
+ * transient ones are retried within the cycle.
+ */
+
+const CATEGORIES = ['dns', 'connection', 'tls', 'timeout', 'http_status', 'bot_blocked', 'worker', 'unknown'];
+
+const STORE_CATEGORIES = ['dns', 'connection', 'tls', 'timeout', 'http_status'];
+const TRANSIENT_CATEGORIES = ['dns', 'connection', 'timeout', 'worker'];
+
+// Text of challenge / captcha pages served instead of the store
+// (Cloudflare, Akamai, PerimeterX, DataDome, Imperva) — matched against title + visible text
+const BOT_BLOCK_PATTERNS = [
+  /just a moment\.\.\./i,
+  /attention required! \| cloudflare/i,
+  /checking (if the site connection is secure|your browser)/i,
+  /verify (that )?you are (a )?human/i,
+  /press & hold/i,
+  /please enable js and disable any ad blocker/i,
+  /incapsula incident id/i,
+  /access denied[\s\S]{0,200}reference #/i,
+];
+
+// Puppeteer errors that mean the browser (or our connection to it) went away, not the store
+const BROWSER_FAULT_PATTERNS = [
+  /target closed/i,
+  /session closed/i,
+  /browser has disconnected/i,
+  /connection closed/i,
+  /protocol error/i,
+  /websocket .*(closed|error)/i,
+];
+
+/**
+ * A check failure whose category is already known (HTTP status, bot block).
+ */
+class CheckFailure extends Error {
+  constructor(message, { category, status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'CheckFailure';
+    this.category = category;
+    this.status = status;
+  }
+}
+
+const CODE_CATEGORIES = {
+  ENOTFOUND: 'dns',
+  EAI_AGAIN: 'dns',
+  ERR_NAME_NOT_RESOLVED: 'dns',
+
+  ECONNREFUSED: 'connection',
+  ECONNRESET: 'connection',
+  EHOSTUNREACH: 'connection',
+  ENETUNREACH: 'connection',
+  EPIPE: 'connection',
+  UND_ERR_SOCKET: 'connection',
+  ERR_CONNECTION_REFUSED: 'connection',
+  ERR_CONNECTION_RESET: 'connection',
+  ERR_CONNECTION_CLOSED: 'connection',
+  ERR_ADDRESS_UNREACHABLE: 'connection',
+  ERR_EMPTY_RESPONSE: 'connection',
+
+  ETIMEDOUT: 'timeout',
+  UND_ERR_CONNECT_TIMEOUT: 'timeout',
+  UND_ERR_HEADERS_TIMEOUT: 'timeout',
+  UND_ERR_BODY_TIMEOUT: 'timeout',
+  ERR_CONNECTION_TIMED_OUT: 'timeout',
+  ERR_TIMED_OUT: 'timeout',
+};
+
+// Walks err → err.cause, since fetch wraps the socket error in a generic TypeError
+function errorCodes(err) {
+  const codes = [];
+  for (let e = err, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    if (e.code) codes.push(String(e.code));
+    const net = /net::(ERR_[A-Z_]+)/.exec(e.message || '');
+    if (net) codes.push(net[1]);
+  }
+  return codes;
+}
+
+/**
+ * @returns {string} one of CATEGORIES
+ */
+function classifyNetworkError(err) {
+  if (!err) return 'unknown';
+  if (err.name === 'AbortError' || err.name === 'TimeoutError') return 'timeout';
+
+  for (const code of errorCodes(err)) {
+    if (CODE_CATEGORIES[code]) return CODE_CATEGORIES[code];
+    if (code.startsWith('CERT_') || code.startsWith('ERR_TLS') || code.startsWith('ERR_SSL') ||
+        code.startsWith('ERR_CERT') || code.includes('SELF_SIGNED') || code.includes('UNABLE_TO_VERIFY')) {
+      return 'tls';
+    }
+  }
+
+  const message = err.message || '';
+  if (/getaddrinfo/i.test(message)) return 'dns';
+  if (/timeout|timed out/i.test(message)) return 'timeout';
+  return 'unknown';
+}
+
+/**
+ * Tags an error as a fault of one of our own dependencies (storage, supabase, browser).
+ */
+function markWorkerFault(err, dependency) {
+  if (err && typeof err === 'object' && !err.workerFault) err.workerFault = dependency;
+  return err;
+}
+
+/**
+ * Whether a page's status / title / leading text look like a bot challenge rather than the store.
+ */
+function looksBotBlocked({ status = null, title = '', text = '' }) {
+  const sample = `${title}\n${text.slice(0, 3000)}`;
+  if (BOT_BLOCK_PATTERNS.some((pattern) => pattern.test(sample))) return true;
+  // A bare 429 is rate limiting aimed at us, whatever the body says
+  return status === 429;
+}
+
+/**
+ * @returns {{ category: string, status: number|null, dependency: string|null,
+ *   transient: boolean, countsAgainstStore: boolean }}
+ */
+function describeFailure(err) {
+  let category;
+  let dependency = null;
+  const status = err?.status ?? null;
+
+  if (err?.workerFault) {
+    category = 'worker';
+    dependency = err.workerFault;
+  } else if (err?.category && CATEGORIES.includes(err.category)) {
+    category = err.category;
+  } else if (BROWSER_FAULT_PATTERNS.some((pattern) => pattern.test(err?.message || ''))) {
+    category = 'worker';
+    dependency = 'browser';
+  } else {
+    category = classifyNetworkError(err);
+  }
+
+  return {
+    category,
+    status,
+    dependency,
+    transient: category === 'http_status' ? status >= 500 : TRANSIENT_CATEGORIES.includes(category),
+    countsAgainstStore: STORE_CATEGORIES.includes(category),
+  };
+}
+
+// ── Deactivation & re-probing ──────────────────────
+
+// Re-probe an auto-deactivated store hourly for a day, every 6 h for a week, then daily
+const REPROBE_SCHEDULE = [
+  { untilMs: 24 * 60 * 60 * 1000, everyMs: 60 * 60 * 1000 },
+  { untilMs: 7 * 24 * 60 * 60 * 1000, everyMs: 6 * 60 * 60 * 1000 },
+  { untilMs: Infinity, everyMs: 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * When an inactive store is next due for a re-probe (ms epoch).
+ */
+function nextProbeAt({ deactivated_at: deactivatedAt, last_probed_at: lastProbedAt }) {
+  const since = new Date(deactivatedAt).getTime();
+  const last = lastProbedAt ? new Date(lastProbedAt).getTime() : since;
+  const { everyMs } = REPROBE_SCHEDULE.find(({ untilMs }) => last - since < untilMs);
+  return last + everyMs;
+}
+
+module.exports = {
+  CATEGORIES,
+  STORE_CATEGORIES,
+  CheckFailure,
+  classifyNetworkError,
+  markWorkerFault,
+  looksBotBlocked,
+  describeFailure,
+  nextProbeAt,
+};
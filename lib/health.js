@@ -0,0 +1,142 @@
+/**
+ * Worker health & status
+ *
+ * `createCycleTracker` records every check cycle (visual, ping, …): when it
+ * started, how many stores it queued and finished, and how the last one ended.
+ * A cycle kind with a window is unhealthy once it hasn't completed without
+ * error within it (counted from process start until the first success).
+ *
+ * `createStatusServer` exposes that over HTTP:
+ *
+ *   GET /healthz   200 / 503 + per-cycle freshness
+ *   GET /status    running cycles, queue depth, last results, recent errors
+ *   GET /metrics   Prometheus text format
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MAX_RECENT_ERRORS = 20;
+
+function createCycleTracker({ windows = {} } = {}) {
+  const startedAt = Date.now();
+  const running = new Map();
+  const last = {};
+  const lastOkAt = {};
+  const errors = [];
+
+  function start(kind) {
+    const cycle = { id: crypto.randomUUID(), kind, startedAt: Date.now(), queued: 0, done: 0, summary: null, error: null };
+    running.set(cycle.id, cycle);
+    return cycle;
+  }
+
+  function finish(cycle) {
+    running.delete(cycle.id);
+    const finishedAt = Date.now();
+    if (!cycle.error) lastOkAt[cycle.kind] = finishedAt;
+    last[cycle.kind] = {
+      id: cycle.id,
+      startedAt: new Date(cycle.startedAt).toISOString(),
+      completedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - cycle.startedAt,
+      summary: cycle.summary,
+      error: cycle.error,
+    };
+    return last[cycle.kind];
+  }
+
+  function recordError(entry) {
+    errors.push(entry);
+    if (errors.length > MAX_RECENT_ERRORS) errors.shift();
+  }
+
+  function health(now = Date.now()) {
+    const cycles = {};
+    let healthy = true;
+
+    for (const [kind, windowMs] of Object.entries(windows)) {
+      const okAt = lastOkAt[kind] ?? null;
+      const ageMs = now - (okAt ?? startedAt);
+      const ok = ageMs <= windowMs;
+      if (!ok) healthy = false;
+      cycles[kind] = {
+        ok,
+        lastCompletedAt: okAt ? new Date(okAt).toISOString() : null,
+        lastError: last[kind]?.error ?? null,
+        ageSeconds: Math.round(ageMs / 1000),
+        windowSeconds: Math.round(windowMs / 1000),
+      };
+    }
+
+    return { healthy, cycles };
+  }
+
+  function status() {
+    return {
+      startedAt: new Date(startedAt).toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      running: [...running.values()].map((c) => ({
+        id: c.id,
+        kind: c.kind,
+        startedAt: new Date(c.startedAt).toISOString(),
+        queued: c.queued,
+        done: c.done,
+        queueDepth: Math.max(0, c.queued - c.done),
+      })),
+      last,
+      recentErrors: [...errors].reverse(),
+    };
+  }
+
+  return { start, finish, recordError, health, status };
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * @param {{ port: number, tracker: object, registry: object, info?: object }} options
+ *   `info` is merged into /status (worker owner, backends, …).
+ */
+function createStatusServer({ port, tracker, registry, info = {} }) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') return sendJson(res, 405, { error: 'Method not allowed' });
+
+    switch (pathname) {
+      case '/healthz': {
+        const result = tracker.health();
+        return sendJson(res, result.healthy ? 200 : 503, { status: result.healthy ? 'ok' : 'unhealthy', ...result });
+      }
+      case '/status':
+        return sendJson(res, 200, { ...info, ...tracker.status() });
+      case '/metrics':
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+        return res.end(registry.render());
+      default:
+        return sendJson(res, 404, { error: 'Not found' });
+    }
+  });
+
+  return {
+    server,
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(server.address().port));
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = {
+  createCycleTracker,
+  createStatusServer,
+};
@@ -0,0 +1,144 @@
+/**
+ * Full-page height changes
+ *
+ * Full-page screenshots change height whenever content is added or removed.
+ * Instead of giving up on the comparison we:
+ *
+ *   - find the vertical band that was inserted or removed, by matching rows
+ *     from the top and from the bottom until they stop lining up
+ *   - cut the band out of the taller image and diff the rest, so rows above
+ *     the band line up from the top and rows below it from the bottom
+ *   - report the height change so it can alert on its own (a product grid
+ *     that vanished makes the page much shorter without changing the top)
+ */
+
+const { PNG } = require('pngjs');
+
+const SIGNATURE_BUCKETS = 32;
+const ROW_TOLERANCE = 4;
+
+// Average luminance of each horizontal bucket — cheap, and tolerant of anti-aliasing noise
+function rowSignatures(png) {
+  const { width, height, data } = png;
+  const bucketWidth = width / SIGNATURE_BUCKETS;
+  const signatures = new Array(height);
+
+  for (let y = 0; y < height; y++) {
+    const sums = new Float64Array(SIGNATURE_BUCKETS);
+    const counts = new Uint32Array(SIGNATURE_BUCKETS);
+
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const bucket = Math.min(SIGNATURE_BUCKETS - 1, Math.floor(x / bucketWidth));
+      sums[bucket] += data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+      counts[bucket]++;
+    }
+
+    for (let b = 0; b < SIGNATURE_BUCKETS; b++) sums[b] = counts[b] ? sums[b] / counts[b] : 0;
+    signatures[y] = sums;
+  }
+
+  return signatures;
+}
+
+function rowsMatch(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) > ROW_TOLERANCE) return false;
+  }
+  return true;
+}
+
+/**
+ * Locates the inserted/removed vertical band between two same-width screenshots.
+ *
+ * @returns {{ top: number, bottom: number, baselineBand: { y: number, height: number }, currentBand: { y: number, height: number } }}
+ *   `top`/`bottom` are the rows that still match at either end; the bands are
+ *   what sits between them in each image.
+ */
+function findChangedBand(baselinePng, newPng) {
+  const a = rowSignatures(baselinePng);
+  const b = rowSignatures(newPng);
+  const shared = Math.min(a.length, b.length);
+
+  let top = 0;
+  while (top < shared && rowsMatch(a[top], b[top])) top++;
+
+  let bottom = 0;
+  while (bottom < shared - top && rowsMatch(a[a.length - 1 - bottom], b[b.length - 1 - bottom])) bottom++;
+
+  return {
+    top,
+    bottom,
+    baselineBand: { y: top, height: a.length - top - bottom },
+    currentBand: { y: top, height: b.length - top - bottom },
+  };
+}
+
+/**
+ * Summarises a height change between baseline and new screenshot.
+ */
+function describeHeightChange(baselinePng, newPng) {
+  const from = baselinePng.height;
+  const to = newPng.height;
+  const { top, baselineBand, currentBand } = findChangedBand(baselinePng, newPng);
+
+  return {
+    from,
+    to,
+    delta: to - from,
+    deltaPercentage: Math.round(((to - from) / from) * 10000) / 100,
+    // Where content appeared (insertion) or disappeared (removal), in page pixels
+    bandY: top,
+    removedHeight: Math.max(0, baselineBand.height - currentBand.height),
+    insertedHeight: Math.max(0, currentBand.height - baselineBand.height),
+  };
+}
+
+/**
+ * Returns a copy of the PNG without the `height` rows starting at `y`.
+ */
+function removeRows(png, y, height) {
+  if (height <= 0) return png;
+  const rowBytes = png.width * 4;
+  const cut = new PNG({ width: png.width, height: png.height - height });
+  png.data.copy(cut.data, 0, 0, y * rowBytes);
+  png.data.copy(cut.data, y * rowBytes, (y + height) * rowBytes);
+  return cut;
+}
+
+/**
+ * Brings two screenshots of different heights to the shorter height by
+ * removing the inserted/removed band (see describeHeightChange) from the
+ * taller one. Everything outside the band stays comparable row for row.
+ *
+ * @returns {{ baselinePng: PNG, newPng: PNG }}
+ */
+function alignHeights(baselinePng, newPng, { bandY, delta }) {
+  return delta > 0
+    ? { baselinePng, newPng: removeRows(newPng, bandY, delta) }
+    : { baselinePng: removeRows(baselinePng, bandY, -delta), newPng };
+}
+
+/**
+ * Moves ignore regions (current screenshot pixels) into the coordinates of
+ * `alignHeights`' output. Only an inserted band shifts them: rows below it move
+ * up by its height, and the part of a region inside the band is dropped.
+ */
+function alignRegions(regions, { bandY, delta }) {
+  if (delta <= 0) return regions;
+
+  const toAligned = (y) => (y <= bandY ? y : Math.max(bandY, y - delta));
+  return regions
+    .map((region) => {
+      const top = toAligned(region.y);
+      return { ...region, y: top, height: toAligned(region.y + region.height) - top };
+    })
+    .filter((region) => region.height > 0);
+}
+
+module.exports = {
+  findChangedBand,
+  describeHeightChange,
+  alignHeights,
+  alignRegions,
+};
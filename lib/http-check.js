@@ -0,0 +1,225 @@
+/**
+ * HTTP uptime checks
+ *
+ * Configured on `stores.http_check` (jsonb); everything is optional:
+ *
+ *   {
+ *     "method": "HEAD",                  // HEAD falls back to GET on 403/405/501
+ *     "expected_status": [200, 399],     // inclusive range
+ *     "body_contains": "Add to cart",    // forces GET
+ *     "body_not_contains": "maintenance",
+ *     "max_latency_ms": 3000,
+ *     "max_redirects": 5,
+ *     "redirect_policy": "same_site",    // "any" | "same_site" | "https"
+ *     "tls_warn_days": 14
+ *   }
+ *
+ * Redirects are followed by hand so every hop can be validated. Results carry
+ * a classified `failureReason` (see lib/failures.js plus the check-specific
+ * reasons below) for ping_logs.
+ */
+
+const tls = require('tls');
+const { classifyNetworkError } = require('./failures');
+
+// Reasons specific to HTTP checks, on top of the network categories
+const CHECK_REASONS = ['keyword_missing', 'keyword_present', 'slow', 'redirect'];
+
+const HEAD_FALLBACK_STATUSES = [403, 405, 501];
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; YAYA Uptime Bot/1.0; +https://yayauptime.com/bot)';
+
+function normalizeHttpCheck(raw) {
+  const config = raw && typeof raw === 'object' ? raw : {};
+  const range = Array.isArray(config.expected_status) ? config.expected_status : [200, 299];
+  const needsBody = !!(config.body_contains || config.body_not_contains);
+
+  return {
+    method: needsBody ? 'GET' : (String(config.method || 'HEAD').toUpperCase() === 'GET' ? 'GET' : 'HEAD'),
+    expectedStatus: [Number(range[0]) || 200, Number(range[1] ?? range[0]) || 299],
+    bodyContains: config.body_contains || null,
+    bodyNotContains: config.body_not_contains || null,
+    maxLatencyMs: Number(config.max_latency_ms) || null,
+    maxRedirects: Number.isInteger(config.max_redirects) ? config.max_redirects : 5,
+    redirectPolicy: ['same_site', 'https'].includes(config.redirect_policy) ? config.redirect_policy : 'any',
+    tlsWarnDays: Number(config.tls_warn_days) || 14,
+    timeoutMs: Number(config.timeout_ms) || DEFAULT_TIMEOUT_MS,
+  };
+}
+
+// "www.shop.example.com" and "shop.example.com" count as the same site
+function siteOf(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+function redirectViolation(policy, from, to) {
+  if (policy === 'https' && to.protocol !== 'https:') return `Redirect to non-HTTPS ${to.href}`;
+  if (policy === 'same_site') {
+    const origin = siteOf(from.hostname);
+    const target = siteOf(to.hostname);
+    if (target !== origin && !target.endsWith(`.${origin}`)) return `Redirect off-site to ${to.hostname}`;
+  }
+  return null;
+}
+
+async function readBody(response) {
+  const reader = response.body?.getReader();
+  if (!reader) return '';
+
+  const chunks = [];
+  let size = 0;
+  while (size < MAX_BODY_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+
+  return Buffer.concat(chunks.map((c) => Buffer.from(c))).toString('utf8');
+}
+
+async function request(url, method, signal) {
+  return fetch(url, {
+    method,
+    signal,
+    redirect: 'manual',
+    headers: { 'User-Agent': USER_AGENT, 'X-YAYA-Uptime': 'true' },
+  });
+}
+
+/**
+ * Runs one HTTP check against `url`.
+ *
+ * @returns {Promise<{ isUp: boolean, statusCode: number|null, responseTimeMs: number,
+ *   failureReason: string|null, errorMessage: string|null, method: string,
+ *   finalUrl: string, redirects: string[] }>}
+ */
+async function runHttpCheck(url, config) {
+  const startTime = Date.now();
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+
+  const result = {
+    isUp: false,
+    statusCode: null,
+    responseTimeMs: null,
+    failureReason: null,
+    errorMessage: null,
+    method: config.method,
+    finalUrl: url,
+    redirects: [],
+  };
+
+  const fail = (reason, message) => {
+    result.isUp = false;
+    result.failureReason = reason;
+    result.errorMessage = message;
+    return result;
+  };
+
+  try {
+    let current = new URL(url);
+    let response;
+
+    for (let hop = 0; ; hop++) {
+      response = await request(current, result.method, controller.signal);
+
+      // Many storefronts reject HEAD outright — retry the same hop with GET
+      if (result.method === 'HEAD' && HEAD_FALLBACK_STATUSES.includes(response.status)) {
+        response.body?.cancel().catch(() => {});
+        result.method = 'GET';
+        response = await request(current, 'GET', controller.signal);
+      }
+
+      const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+      if (!location) break;
+      response.body?.cancel().catch(() => {});
+
+      const next = new URL(location, current);
+      if (hop >= config.maxRedirects) return fail('redirect', `More than ${config.maxRedirects} redirects`);
+      if (result.redirects.includes(next.href) || next.href === new URL(url).href) return fail('redirect', `Redirect loop at ${next.href}`);
+
+      const violation = redirectViolation(config.redirectPolicy, current, next);
+      if (violation) return fail('redirect', violation);
+
+      result.redirects.push(next.href);
+      current = next;
+    }
+
+    result.finalUrl = current.href;
+    result.statusCode = response.status;
+    result.responseTimeMs = Date.now() - startTime;
+
+    const [minStatus, maxStatus] = config.expectedStatus;
+    if (response.status < minStatus || response.status > maxStatus) {
+      return fail('http_status', `HTTP ${response.status} (expected ${minStatus}-${maxStatus})`);
+    }
+
+    if (config.bodyContains || config.bodyNotContains) {
+      const body = (await readBody(response)).toLowerCase();
+      if (config.bodyContains && !body.includes(config.bodyContains.toLowerCase())) {
+        return fail('keyword_missing', `"${config.bodyContains}" not found in page`);
+      }
+      if (config.bodyNotContains && body.includes(config.bodyNotContains.toLowerCase())) {
+        return fail('keyword_present', `"${config.bodyNotContains}" found in page`);
+      }
+    } else {
+      response.body?.cancel().catch(() => {});
+    }
+
+    if (config.maxLatencyMs && result.responseTimeMs > config.maxLatencyMs) {
+      return fail('slow', `Responded in ${result.responseTimeMs}ms (max ${config.maxLatencyMs}ms)`);
+    }
+
+    result.isUp = true;
+    return result;
+  } catch (err) {
+    result.responseTimeMs = Date.now() - startTime;
+    return fail(classifyNetworkError(err), err.cause?.message || err.message || 'Unknown error');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Reads the certificate a host presents. Verification is off on purpose:
+ * an already-expired or mismatched cert should still be reported, not thrown.
+ *
+ * @returns {Promise<{ validTo: Date, issuer: string|null, daysLeft: number }>}
+ */
+function inspectCertificate(hostname, { port = 443, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({ host: hostname, port, servername: hostname, rejectUnauthorized: false });
+
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy();
+      reject(new Error(`TLS handshake with ${hostname} timed out`));
+    });
+
+    socket.once('secureConnect', () => {
+      const cert = socket.getPeerCertificate();
+      socket.end();
+
+      if (!cert?.valid_to) return reject(new Error(`No certificate presented by ${hostname}`));
+
+      const validTo = new Date(cert.valid_to);
+      resolve({
+        validTo,
+        issuer: cert.issuer?.O || cert.issuer?.CN || null,
+        daysLeft: Math.floor((validTo.getTime() - Date.now()) / (24 * 60 * 60 * 1000)),
+      });
+    });
+
+    socket.once('error', reject);
+  });
+}
+
+module.exports = {
+  CHECK_REASONS,
+  normalizeHttpCheck,
+  runHttpCheck,
+  inspectCertificate,
+};
@@ -0,0 +1,83 @@
+/**
+ * Ping incident helpers
+ *
+ * An incident opens after N consecutive failed pings and closes on the first
+ * successful one. While open, every failing ping is attached to it and the
+ * owner gets one DOWN alert plus reminders on an escalating schedule; closing
+ * it sends a recovery email with the total downtime.
+ *
+ *   incidents (
+ *     id, store_id, started_at, resolved_at, failure_count,
+ *     last_error, alerts_sent, last_alert_at
+ *   )
+ *
+ * Uptime is computed from incident time ranges rather than by counting pings,
+ * so a missed ping cycle doesn't count as downtime.
+ */
+
+// Reminders after the DOWN alert, measured from when the incident started
+const REMINDER_SCHEDULE_MS = [30, 120, 360, 1440].map((m) => m * 60 * 1000);
+const REMINDER_REPEAT_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When the next reminder for an open incident is due (ms epoch).
+ * `alerts_sent` includes the initial DOWN alert.
+ */
+function nextReminderAt(incident) {
+  const started = new Date(incident.started_at).getTime();
+  const reminders = Math.max(0, (incident.alerts_sent ?? 1) - 1);
+
+  if (reminders < REMINDER_SCHEDULE_MS.length) return started + REMINDER_SCHEDULE_MS[reminders];
+
+  const last = REMINDER_SCHEDULE_MS[REMINDER_SCHEDULE_MS.length - 1];
+  return started + last + (reminders - REMINDER_SCHEDULE_MS.length + 1) * REMINDER_REPEAT_MS;
+}
+
+/**
+ * Percentage of [from, to) not covered by incidents. Open incidents run to `to`.
+ */
+function uptimePercentage(incidents, { from, to }) {
+  const windowMs = to - from;
+  if (windowMs <= 0) return 100;
+
+  const ranges = incidents
+    .map((i) => [
+      Math.max(from, new Date(i.started_at).getTime()),
+      Math.min(to, i.resolved_at ? new Date(i.resolved_at).getTime() : to),
+    ])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+
+  // Merge overlaps so downtime is never double counted
+  let downMs = 0;
+  let current = null;
+  for (const range of ranges) {
+    if (current && range[0] <= current[1]) {
+      current[1] = Math.max(current[1], range[1]);
+    } else {
+      if (current) downMs += current[1] - current[0];
+      current = [...range];
+    }
+  }
+  if (current) downMs += current[1] - current[0];
+
+  return Math.round((1 - downMs / windowMs) * 100000) / 1000;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours < 24) return rest ? `${hours} h ${rest} min` : `${hours} h`;
+
+  const days = Math.floor(hours / 24);
+  return hours % 24 ? `${days} d ${hours % 24} h` : `${days} d`;
+}
+
+module.exports = {
+  nextReminderAt,
+  uptimePercentage,
+  formatDuration,
+};
@@ -0,0 +1,151 @@
+/**
+ * Scripted store journeys
+ *
+ * A journey is an ordered list of steps stored on `stores.journey` (jsonb).
+ * Every step runs against the same Puppeteer page, so state such as the cart
+ * carries over from one step to the next:
+ *
+ *   [
+ *     { "name": "homepage", "action": "navigate", "url": "/" },
+ *     { "name": "product",  "action": "click", "selector": "a[href*='/products/']" },
+ *     { "name": "cart",     "action": "add_to_cart" },
+ *     { "name": "checkout", "action": "navigate", "url": "/checkout" },
+ *     { "name": "checkout-form", "action": "assert_text", "text": "Contact", "screenshot": false }
+ *   ]
+ *
+ * Steps with `screenshot !== false` get their own screenshot, baseline and diff.
+ */
+
+const { CheckFailure, looksBotBlocked } = require('./failures');
+
+const STEP_TIMEOUT_MS = 30000;
+const SETTLE_DELAY_MS = 5000;
+
+const ACTIONS = ['navigate', 'click', 'add_to_cart', 'wait_for', 'assert_text'];
+
+const DEFAULT_JOURNEY = [{ name: 'homepage', action: 'navigate', url: '/' }];
+
+// Common add-to-cart buttons (Shopify, WooCommerce, BigCommerce, generic)
+const ADD_TO_CART_SELECTORS = [
+  'form[action*="/cart/add"] [type="submit"]',
+  'button[name="add"]',
+  '.single_add_to_cart_button',
+  '.add_to_cart_button',
+  '[data-action="add-to-cart"]',
+  '#form-action-addToCart',
+  'button[id*="add-to-cart"]',
+  'button[class*="add-to-cart"]',
+].join(', ');
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+/**
+ * Validates a raw `stores.journey` value and fills in defaults.
+ * Falls back to the homepage-only journey when nothing is configured.
+ */
+function normalizeJourney(raw) {
+  if (!Array.isArray(raw) || !raw.length) raw = DEFAULT_JOURNEY;
+
+  const seen = new Set();
+
+  return raw.map((step, i) => {
+    const action = step?.action;
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Journey step ${i + 1}: unknown action "${action}"`);
+    }
+    if ((action === 'click' || action === 'wait_for') && !step.selector) {
+      throw new Error(`Journey step ${i + 1}: "${action}" needs a selector`);
+    }
+    if (action === 'assert_text' && !step.text) {
+      throw new Error(`Journey step ${i + 1}: "assert_text" needs text`);
+    }
+
+    const name = String(step.name || `step-${i + 1}`).replace(/[^a-z0-9_-]/gi, '-').toLowerCase();
+    if (seen.has(name)) throw new Error(`Journey step ${i + 1}: duplicate name "${name}"`);
+    seen.add(name);
+
+    return {
+      ...step,
+      name,
+      url: step.url ?? (action === 'navigate' ? '/' : undefined),
+      screenshot: step.screenshot !== false,
+      timeout: step.timeout || STEP_TIMEOUT_MS,
+    };
+  });
+}
+
+// Clicks and waits for whatever the click triggered (navigation or XHR) to settle
+async function clickAndSettle(page, selector, timeout) {
+  await page.waitForSelector(selector, { visible: true, timeout });
+  await Promise.all([
+    page.waitForNetworkIdle({ idleTime: 500, timeout }).catch(() => {}),
+    page.click(selector),
+  ]);
+}
+
+/**
+ * Executes a single journey step on the page.
+ * Throws with a step-specific message when the step cannot be completed.
+ */
+async function runStep(page, step, baseUrl) {
+  const { action, selector, timeout } = step;
+
+  switch (action) {
+    case 'navigate': {
+      const target = new URL(step.url, baseUrl).toString();
+      const response = await page.goto(target, { waitUntil: 'networkidle2', timeout: Math.max(timeout, 45000) });
+      const status = response?.status() ?? null;
+
+      const title = await page.title().catch(() => '');
+      const text = await page.evaluate(() => document.body?.innerText || '').catch(() => '');
+      if (looksBotBlocked({ status, title, text })) {
+        throw new CheckFailure(`Blocked by bot protection at ${target}${status ? ` (HTTP ${status})` : ''}`, {
+          category: 'bot_blocked',
+          status,
+        });
+      }
+      if (status >= 400) {
+        throw new CheckFailure(`HTTP ${status} for ${target}`, { category: 'http_status', status });
+      }
+      break;
+    }
+
+    case 'click':
+      await clickAndSettle(page, selector, timeout);
+      break;
+
+    case 'add_to_cart':
+      await clickAndSettle(page, selector || ADD_TO_CART_SELECTORS, timeout);
+      break;
+
+    case 'wait_for':
+      await page.waitForSelector(selector, { visible: true, timeout });
+      break;
+
+    case 'assert_text': {
+      const found = await page.evaluate(
+        (sel, text) => {
+          const root = sel ? document.querySelector(sel) : document.body;
+          return !!root && root.innerText.toLowerCase().includes(text.toLowerCase());
+        },
+        selector || null,
+        step.text
+      );
+      if (!found) {
+        throw new Error(`Text "${step.text}" not found${selector ? ` in ${selector}` : ''}`);
+      }
+      break;
+    }
+  }
+
+  if (step.screenshot) await sleep(SETTLE_DELAY_MS);
+}
+
+module.exports = {
+  ADD_TO_CART_SELECTORS,
+  DEFAULT_JOURNEY,
+  normalizeJourney,
+  runStep,
+};
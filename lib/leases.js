@@ -0,0 +1,114 @@
+/**
+ * Multi-instance job leasing
+ *
+ * Every store check is claimed through a row in `check_leases` before it runs,
+ * so several worker dynos can share the same store list without checking (and
+ * alerting) twice:
+ *
+ *   check_leases (
+ *     store_id    uuid        references stores(id) on delete cascade,
+ *     kind        text        -- 'visual' | 'ping'
+ *     owner       text,
+ *     claimed_at  timestamptz,
+ *     expires_at  timestamptz,
+ *     primary key (store_id, kind)
+ *   )
+ *
+ * A claim succeeds when no row exists or the existing lease has expired, so a
+ * crashed worker's checks are picked up once its lease runs out. The holder
+ * heartbeats while the check runs. On release the lease can be held for a
+ * cooldown so a worker that started its cycle slightly later doesn't repeat it.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+const UNIQUE_VIOLATION = '23505';
+
+function defaultOwner() {
+  const base = process.env.WORKER_ID || process.env.DYNO || os.hostname();
+  return `${base}-${process.pid}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+function createLeaseManager(supabase, { owner = defaultOwner(), table = 'check_leases' } = {}) {
+  const expiry = (ms) => new Date(Date.now() + ms).toISOString();
+
+  /**
+   * Tries to take the lease. Resolves true when this worker now holds it.
+   */
+  async function claim(storeId, kind, ttlMs) {
+    const now = new Date().toISOString();
+    const lease = { store_id: storeId, kind, owner, claimed_at: now, expires_at: expiry(ttlMs) };
+
+    const { error: insertError } = await supabase.from(table).insert(lease);
+    if (!insertError) return true;
+    if (insertError.code !== UNIQUE_VIOLATION) throw insertError;
+
+    // Row exists — take it over only if it has expired (or is already ours)
+    const { data, error } = await supabase
+      .from(table)
+      .update(lease)
+      .eq('store_id', storeId)
+      .eq('kind', kind)
+      .or(`expires_at.lt.${now},owner.eq.${owner}`)
+      .select('store_id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Extends a lease we hold. Resolves false when it was lost to another worker.
+   */
+  async function heartbeat(storeId, kind, ttlMs) {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ expires_at: expiry(ttlMs) })
+      .eq('store_id', storeId)
+      .eq('kind', kind)
+      .eq('owner', owner)
+      .select('store_id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Gives the lease up. With `holdMs` the lease stays ours until then (cooldown).
+   */
+  async function release(storeId, kind, holdMs = 0) {
+    const query = holdMs > 0
+      ? supabase.from(table).update({ expires_at: expiry(holdMs) })
+      : supabase.from(table).delete();
+
+    const { error } = await query.eq('store_id', storeId).eq('kind', kind).eq('owner', owner);
+    if (error) throw error;
+  }
+
+  /**
+   * Runs `fn` while holding the lease, heartbeating every third of the TTL.
+   * Resolves to null without running `fn` when another worker holds it.
+   */
+  async function withLease(storeId, kind, { ttlMs, holdMs = 0, onLost = () => {} }, fn) {
+    if (!(await claim(storeId, kind, ttlMs))) return null;
+
+    const timer = setInterval(() => {
+      heartbeat(storeId, kind, ttlMs)
+        .then((held) => { if (!held) onLost(); })
+        .catch(onLost);
+    }, Math.max(1000, Math.floor(ttlMs / 3)));
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(timer);
+      await release(storeId, kind, holdMs).catch(() => {});
+    }
+  }
+
+  return { owner, claim, heartbeat, release, withLease };
+}
+
+module.exports = {
+  createLeaseManager,
+};
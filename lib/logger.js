@@ -0,0 +1,53 @@
+/**
+ * Structured logging
+ *
+ * One JSON object per line ({ ts, level, msg, ...context, ...fields }) so log
+ * drains can filter by store, run or cycle. `withContext` attaches fields such
+ * as store_id / run_id to every line logged inside it, across awaits, so call
+ * sites keep writing plain messages.
+ *
+ * LOG_FORMAT=pretty keeps the old `[YAYA] message` lines for local runs.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+function createLogger({ format = 'json', base = {}, onError = () => {} } = {}) {
+  const contexts = new AsyncLocalStorage();
+
+  function write(level, msg, fields) {
+    const entry = { ts: new Date().toISOString(), level, msg, ...base, ...contexts.getStore(), ...fields };
+
+    if (format === 'pretty') {
+      const extra = Object.entries({ ...contexts.getStore(), ...fields })
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+      const line = `[YAYA] ${level === 'error' ? 'ERROR: ' : ''}${msg}${extra ? ` (${extra})` : ''}`;
+      (level === 'error' ? console.error : console.log)(line);
+    } else {
+      (level === 'error' ? console.error : console.log)(JSON.stringify(entry));
+    }
+
+    return entry;
+  }
+
+  return {
+    log(msg, fields = {}) {
+      write('info', msg, fields);
+    },
+
+    logError(msg, fields = {}) {
+      onError(write('error', msg, fields));
+    },
+
+    /**
+     * Runs `fn` with `fields` added to every log line it produces (nested contexts merge).
+     */
+    withContext(fields, fn) {
+      return contexts.run({ ...contexts.getStore(), ...fields }, fn);
+    },
+  };
+}
+
+module.exports = {
+  createLogger,
+};
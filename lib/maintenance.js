@@ -0,0 +1,165 @@
+/**
+ * Maintenance windows and quiet hours
+ *
+ * Maintenance windows live on `stores.maintenance_windows` (jsonb), one-off or
+ * weekly-recurring, each in its own timezone:
+ *
+ *   [
+ *     { "start": "2026-03-01T22:00", "end": "2026-03-02T02:00", "timezone": "Europe/Berlin",
+ *       "recapture_baseline": true },
+ *     { "days": ["sun"], "from": "02:00", "to": "04:00", "timezone": "America/New_York" }
+ *   ]
+ *
+ * One-off times without an offset are wall-clock times in `timezone`. A
+ * recurring window without `days` repeats daily; `to` before `from` runs past
+ * midnight. While a window is active, checks run and are logged but nothing
+ * alerts, baselines stay put and failures don't count against the store.
+ * With `recapture_baseline` the first visual check after the window re-captures
+ * every baseline.
+ *
+ * Quiet hours (`notification_settings.quiet_hours`, per user) take the shape of
+ * one recurring window: { "from": "22:00", "to": "07:00", "timezone": "…", "days"? }.
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function validTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// "22:30" → 1350
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseDays(value) {
+  if (!Array.isArray(value) || !value.length) return [0, 1, 2, 3, 4, 5, 6];
+  return [...new Set(value.map((d) => (typeof d === 'number' ? d : DAYS.indexOf(String(d).slice(0, 3).toLowerCase()))))]
+    .filter((d) => d >= 0 && d <= 6);
+}
+
+// Wall-clock parts of `date` in `timeZone`
+function localParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date).map((p) => [p.type, Number(p.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+function offsetAt(ms, timeZone) {
+  const p = localParts(new Date(ms), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// Wall-clock time (`minutes` past midnight) on a local date in `timeZone` → Date
+function zonedTime({ year, month, day }, minutes, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  // Second pass settles dates near a DST switch
+  const first = wall - offsetAt(wall, timeZone);
+  return new Date(wall - offsetAt(first, timeZone));
+}
+
+function addDays({ year, month, day }, n) {
+  const d = new Date(Date.UTC(year, month - 1, day) + n * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+// "2026-03-01T22:00" in timeZone, or any ISO string with its own offset
+function parseMoment(value, timeZone) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/.exec(text);
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0] = match.map(Number);
+  return zonedTime({ year, month, day }, hour * 60 + minute, timeZone);
+}
+
+function normalizeWindow(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const timezone = raw.timezone || 'UTC';
+  if (!validTimezone(timezone)) return null;
+  const recaptureBaseline = raw.recapture_baseline === true;
+
+  if (raw.start || raw.end) {
+    const start = parseMoment(raw.start, timezone);
+    const end = parseMoment(raw.end, timezone);
+    if (!start || !end || end <= start) return null;
+    return { type: 'once', start, end, timezone, recaptureBaseline };
+  }
+
+  const from = parseClock(raw.from);
+  const to = parseClock(raw.to);
+  if (from == null || to == null || from === to) return null;
+  return { type: 'weekly', days: parseDays(raw.days), from, to, timezone, recaptureBaseline };
+}
+
+/**
+ * Validates a raw `stores.maintenance_windows` value; invalid entries are dropped.
+ */
+function normalizeMaintenanceWindows(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.map(normalizeWindow).filter(Boolean);
+}
+
+/**
+ * Validates a raw `notification_settings.quiet_hours` value (null when unset or invalid).
+ */
+function normalizeQuietHours(raw) {
+  const window = normalizeWindow(raw && { ...raw, start: undefined, end: undefined });
+  return window?.type === 'weekly' ? window : null;
+}
+
+// The occurrence of a recurring window that contains `now`, if any
+function weeklyOccurrence(window, now) {
+  const today = localParts(now, window.timezone);
+  // Started today, or yesterday and still running past midnight
+  for (const offset of [0, -1]) {
+    const date = addDays(today, offset);
+    if (!window.days.includes(date.weekday)) continue;
+
+    const start = zonedTime(date, window.from, window.timezone);
+    const end = zonedTime(window.to > window.from ? date : addDays(date, 1), window.to, window.timezone);
+    if (start <= now && now < end) return { start, end };
+  }
+  return null;
+}
+
+/**
+ * The window active at `now`, with its current occurrence's bounds, or null.
+ *
+ * @returns {{ window, startsAt: Date, endsAt: Date } | null}
+ */
+function activeWindow(windows, now = new Date()) {
+  for (const window of windows) {
+    const occurrence = window.type === 'once'
+      ? (window.start <= now && now < window.end ? { start: window.start, end: window.end } : null)
+      : weeklyOccurrence(window, now);
+    if (occurrence) return { window, startsAt: occurrence.start, endsAt: occurrence.end };
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeMaintenanceWindows,
+  normalizeQuietHours,
+  activeWindow,
+};
@@ -0,0 +1,175 @@
+/**
+ * Per-store noise hiding, masking and ignore regions
+ *
+ * Configured on `stores.visual_masking` (jsonb):
+ *
+ *   {
+ *     "preset": true,                             // global noise list below (opt-out)
+ *     "hide": [".promo-strip"],                   // removed from the page
+ *     "mask": [".hero-carousel", "#countdown"],   // painted over as solid boxes
+ *     "ignore_regions": [                         // excluded from the diff count
+ *       { "x": 0, "y": 0, "width": 1280, "height": 120 },
+ *       { "x": 900, "y": 400, "width": 300, "height": 250, "step": "product" },
+ *       { "x": 0, "y": 0, "width": 780, "height": 200, "device": "mobile" }
+ *     ]
+ *   }
+ *
+ * Region coordinates are pixels of the current screenshot, which differ per
+ * device, so a region without `device` applies to desktop only.
+ *
+ * Hiding changes layout, masking keeps it — use masks for rotating content
+ * whose box stays put (carousels, timers, live stock counters).
+ */
+
+const DEFAULT_HIDE_SELECTORS = [
+  '[id*="cookie"]', '[class*="cookie"]', '[class*="gdpr"]', '[class*="consent"]',
+  '[class*="banner"]', '[class*="popup"]', '[class*="modal"]', '[class*="overlay"]',
+  '[class*="chat"]', '[id*="chat"]', '[id*="intercom"]', '[class*="widget"]',
+  '.cookie-notice', '.cookie-consent', '.cookie-law', '.cookie-message',
+  '.cc-window', '.cc-banner', '.cc-compliance', '.cc-floating', '.cc-revoke',
+  'iframe[src*="cookie"]', 'iframe[src*="consent"]', '[data-cookie]',
+  '[data-gdpr]', '[data-consent]', '[data-tracking]', '[data-analytics]',
+  '.popup-wrapper', '.popup-container', '.modal-backdrop', '.backdrop',
+  '.notification-bar', '.alert-bar', '.top-bar', '.bottom-bar',
+  '.newsletter-popup', '.exit-intent', '.scroll-popup', '.float-chat',
+];
+
+const HIDE_RULES = `
+    display: none !important;
+    visibility: hidden !important;
+    opacity: 0 !important;
+    pointer-events: none !important;
+    height: 0 !important;
+    width: 0 !important;
+    max-height: 0 !important;
+    max-width: 0 !important;
+    overflow: hidden !important;
+`;
+
+const MASK_COLOR = '#7f7f7f';
+
+function toSelectorList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.map((s) => String(s).trim()).filter(Boolean);
+}
+
+function toRegions(value) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((r) => ({
+      x: Math.max(0, Math.floor(Number(r?.x) || 0)),
+      y: Math.max(0, Math.floor(Number(r?.y) || 0)),
+      width: Math.floor(Number(r?.width) || 0),
+      height: Math.floor(Number(r?.height) || 0),
+      step: r?.step || null,
+      device: r?.device || 'desktop',
+    }))
+    .filter((r) => r.width > 0 && r.height > 0);
+}
+
+function normalizeMasking(raw) {
+  const config = raw && typeof raw === 'object' ? raw : {};
+  return {
+    preset: config.preset !== false,
+    hide: toSelectorList(config.hide),
+    mask: toSelectorList(config.mask),
+    ignoreRegions: toRegions(config.ignore_regions),
+  };
+}
+
+/**
+ * CSS that removes the preset noise (unless opted out) plus the store's own hide list.
+ */
+function buildHideCss(masking) {
+  const selectors = [...(masking.preset ? DEFAULT_HIDE_SELECTORS : []), ...masking.hide];
+  if (!selectors.length) return '';
+  return `${selectors.join(',\n')} {${HIDE_RULES}}`;
+}
+
+/**
+ * Hides noise and paints solid boxes over masked elements, right before a screenshot.
+ * Masks are absolutely positioned overlays so they also cover iframes, canvas and video.
+ */
+async function applyMasking(page, masking) {
+  const css = buildHideCss(masking);
+  if (css) await page.addStyleTag({ content: css });
+  if (!masking.mask.length) return;
+
+  await page.evaluate((selectors, color) => {
+    document.querySelectorAll('[data-yaya-mask]').forEach((el) => el.remove());
+
+    for (const selector of selectors) {
+      let elements = [];
+      try {
+        elements = document.querySelectorAll(selector);
+      } catch {
+        continue; // Invalid selector in store config — skip it
+      }
+
+      for (const el of elements) {
+        const rect = el.getBoundingClientRect();
+        if (!rect.width || !rect.height) continue;
+
+        const box = document.createElement('div');
+        box.setAttribute('data-yaya-mask', '');
+        Object.assign(box.style, {
+          position: 'absolute',
+          left: `${rect.left + window.scrollX}px`,
+          top: `${rect.top + window.scrollY}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+          background: color,
+          zIndex: '2147483647',
+          pointerEvents: 'none',
+        });
+        document.body.appendChild(box);
+      }
+    }
+  }, masking.mask, MASK_COLOR);
+}
+
+/**
+ * Excludes ignore regions from a comparison by copying the baseline's pixels
+ * into the new image inside each region (so they never differ, and the diff
+ * overlay still shows the real page there).
+ *
+ * @returns {number} Number of distinct pixels ignored
+ */
+function applyIgnoreRegions(baselinePng, newPng, regions, { step, device = 'desktop' }) {
+  const { width, height } = baselinePng;
+  const applicable = regions.filter((r) => (!r.step || r.step === step) && r.device === device);
+  if (!applicable.length) return 0;
+
+  const ignored = new Uint8Array(width * height);
+  let count = 0;
+
+  for (const { x, y, width: w, height: h } of applicable) {
+    const xEnd = Math.min(width, x + w);
+    const yEnd = Math.min(height, y + h);
+
+    for (let row = y; row < yEnd; row++) {
+      for (let col = x; col < xEnd; col++) {
+        const i = row * width + col;
+        if (ignored[i]) continue;
+        ignored[i] = 1;
+        count++;
+
+        const p = i * 4;
+        newPng.data[p] = baselinePng.data[p];
+        newPng.data[p + 1] = baselinePng.data[p + 1];
+        newPng.data[p + 2] = baselinePng.data[p + 2];
+        newPng.data[p + 3] = baselinePng.data[p + 3];
+      }
+    }
+  }
+
+  return count;
+}
+
+module.exports = {
+  DEFAULT_HIDE_SELECTORS,
+  normalizeMasking,
+  buildHideCss,
+  applyMasking,
+  applyIgnoreRegions,
+};
@@ -0,0 +1,121 @@
+/**
+ * Prometheus metrics
+ *
+ * A deliberately small registry (counters, gauges, histograms with labels)
+ * rendered in the text exposition format for `/metrics`. Everything lives in
+ * process memory and resets on restart, as Prometheus expects.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Stable key for a label set, restricted to the metric's declared label names
+function pick(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels[name] ?? '';
+  return picked;
+}
+
+function createRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, { name, help, labelNames = [] }, extra = {}) {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map(), ...extra };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function series(metric, labels, init) {
+    const picked = pick(metric.labelNames, labels);
+    const key = JSON.stringify(picked);
+    if (!metric.series.has(key)) metric.series.set(key, { labels: picked, ...init() });
+    return metric.series.get(key);
+  }
+
+  function counter(options) {
+    const metric = register('counter', options);
+    return {
+      inc(labels = {}, value = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  function gauge(options) {
+    const metric = register('gauge', options);
+    return {
+      set(labels = {}, value) {
+        series(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      inc(labels = {}, value = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += value;
+      },
+      dec(labels = {}, value = 1) {
+        series(metric, labels, () => ({ value: 0 })).value -= value;
+      },
+    };
+  }
+
+  function histogram({ buckets = DEFAULT_BUCKETS, ...options }) {
+    const metric = register('histogram', options, { buckets: [...buckets].sort((a, b) => a - b) });
+    const observe = (labels = {}, value) => {
+      if (!Number.isFinite(value)) return;
+      const s = series(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+      metric.buckets.forEach((bound, i) => {
+        if (value <= bound) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    };
+
+    return {
+      observe,
+      /** Returns `end(extraLabels)`, which observes the elapsed seconds. */
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extra = {}) => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+      },
+    };
+  }
+
+  function render() {
+    const lines = [];
+
+    for (const metric of metrics) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const s of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(s.labels)} ${s.value}`);
+          continue;
+        }
+
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+};
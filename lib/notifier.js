@@ -0,0 +1,228 @@
+/**
+ * Notification dispatcher
+ *
+ * Routes one alert message to every matching channel of the store owner and
+ * records each attempt in `notification_deliveries`:
+ *
+ *   notification_channels (
+ *     id, user_id, store_id,      -- store_id null = all of the user's stores
+ *     type,                       -- email | webhook | slack | discord | teams | sms
+ *     config jsonb,               -- see lib/channels.js
+ *     severities text[],          -- e.g. {red} for SMS; null = channel default
+ *     enabled boolean,
+ *     last_digest_at              -- email only; config.digest = daily | weekly
+ *   )
+ *
+ * Owners without any configured channel keep getting email at their login
+ * address. Failed deliveries are retried with backoff by `retryDue()`.
+ *
+ * During a user's quiet hours (`notification_settings.quiet_hours`, see
+ * lib/maintenance.js) everything but red alerts is recorded as `held` and
+ * sent by `retryDue()` once the quiet period ends.
+ */
+
+const { normalizeQuietHours, activeWindow } = require('./maintenance');
+
+const SEVERITIES = ['red', 'yellow', 'info'];
+
+const DEFAULT_SEVERITIES = {
+  email: SEVERITIES,
+  webhook: SEVERITIES,
+  slack: SEVERITIES,
+  discord: SEVERITIES,
+  teams: SEVERITIES,
+  sms: ['red'],
+};
+
+const RETRY_DELAYS_MS = [1, 5, 30, 120].map((m) => m * 60 * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+function recipientOf(type, config) {
+  if (type === 'email') return config.email;
+  if (type === 'sms') return config.phone;
+  try {
+    return new URL(config.url || config.webhook_url).host;
+  } catch {
+    return null;
+  }
+}
+
+function createNotifier({ supabase, channels, log, logError, onDelivery = () => {} }) {
+  async function channelsFor(store, ownerEmail) {
+    const { data, error } = await supabase
+      .from('notification_channels')
+      .select('id, type, config, severities, enabled')
+      .eq('user_id', store.user_id)
+      .or(`store_id.is.null,store_id.eq.${store.id}`);
+
+    if (error) throw error;
+
+    if (!data.length) {
+      return ownerEmail ? [{ id: null, type: 'email', config: { email: ownerEmail }, severities: null }] : [];
+    }
+
+    return data
+      .filter((c) => c.enabled !== false && channels[c.type])
+      .map((c) => ({ ...c, config: c.type === 'email' && !c.config?.email ? { email: ownerEmail } : c.config || {} }));
+  }
+
+  // When the user's quiet hours are on, the moment they end
+  async function quietUntil(userId) {
+    const { data, error } = await supabase
+      .from('notification_settings')
+      .select('quiet_hours')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      logError(`Quiet hours lookup failed: ${error.message}`);
+      return null;
+    }
+
+    const quietHours = normalizeQuietHours(data?.quiet_hours);
+    return quietHours ? activeWindow([quietHours])?.endsAt ?? null : null;
+  }
+
+  function routes(channel, severity) {
+    const severities = channel.severities?.length ? channel.severities : DEFAULT_SEVERITIES[channel.type];
+    return severities.includes(severity);
+  }
+
+  async function attempt(delivery, channel) {
+    const attempts = (delivery.attempts ?? 0) + 1;
+
+    try {
+      await channels[channel.type](channel.config, delivery.message);
+      await supabase
+        .from('notification_deliveries')
+        .update({ status: 'sent', attempts, last_error: null, delivered_at: new Date().toISOString() })
+        .eq('id', delivery.id);
+      onDelivery(channel.type, 'sent');
+      log(`Notification ${delivery.event_type} sent via ${channel.type} to ${delivery.recipient ?? 'n/a'}`);
+      return true;
+    } catch (err) {
+      const giveUp = attempts >= MAX_ATTEMPTS;
+      await supabase
+        .from('notification_deliveries')
+        .update({
+          status: giveUp ? 'failed' : 'retrying',
+          attempts,
+          last_error: err.message,
+          next_attempt_at: giveUp ? null : new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]).toISOString(),
+        })
+        .eq('id', delivery.id);
+      onDelivery(channel.type, giveUp ? 'failed' : 'retrying');
+      logError(`Notification via ${channel.type} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Logs and sends one message to one channel; failures are left for `retryDue()`.
+   * With `holdUntil` it is only recorded, and sent by `retryDue()` from then on.
+   */
+  async function deliver(channel, message, { storeId = null, userId, holdUntil = null }) {
+    const { data: delivery, error } = await supabase
+      .from('notification_deliveries')
+      .insert({
+        channel_id: channel.id,
+        channel_type: channel.type,
+        recipient: recipientOf(channel.type, channel.config),
+        store_id: storeId,
+        user_id: userId,
+        event_type: message.type,
+        severity: message.severity,
+        message,
+        status: holdUntil ? 'held' : 'sending',
+        attempts: 0,
+        next_attempt_at: holdUntil ? holdUntil.toISOString() : null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logError(`notification_deliveries insert failed: ${error.message}`);
+      return false;
+    }
+
+    if (holdUntil) {
+      log(`Notification ${message.type} via ${channel.type} held for quiet hours until ${holdUntil.toISOString()}`);
+      return true;
+    }
+
+    return attempt(delivery, channel);
+  }
+
+  /**
+   * Sends `message` to every channel of the store owner that routes its severity.
+   */
+  async function dispatch({ store, ownerEmail, message }) {
+    const targets = (await channelsFor(store, ownerEmail)).filter((c) => routes(c, message.severity));
+    // Red alerts are what quiet hours must never hide
+    const holdUntil = targets.length && message.severity !== 'red' ? await quietUntil(store.user_id) : null;
+
+    for (const channel of targets) {
+      await deliver(channel, message, { storeId: store.id, userId: store.user_id, holdUntil });
+    }
+
+    return targets.length;
+  }
+
+  /**
+   * Retries deliveries whose backoff has elapsed and sends those held for quiet
+   * hours that have ended. Each row is claimed first so concurrent workers
+   * never send the same one twice.
+   */
+  async function retryDue() {
+    const { data: due, error } = await supabase
+      .from('notification_deliveries')
+      .select('*')
+      .in('status', ['retrying', 'held'])
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(50);
+
+    if (error) throw error;
+
+    for (const delivery of due) {
+      const { data: claimed } = await supabase
+        .from('notification_deliveries')
+        .update({ status: 'sending' })
+        .eq('id', delivery.id)
+        .eq('status', delivery.status)
+        .select('id');
+
+      if (!claimed?.length) continue;
+
+      let channel = { type: delivery.channel_type, config: { email: delivery.recipient } };
+      if (delivery.channel_id) {
+        const { data } = await supabase
+          .from('notification_channels')
+          .select('type, config, enabled')
+          .eq('id', delivery.channel_id)
+          .maybeSingle();
+
+        if (!data || data.enabled === false) {
+          await supabase
+            .from('notification_deliveries')
+            .update({ status: 'failed', last_error: 'Channel removed or disabled' })
+            .eq('id', delivery.id);
+          continue;
+        }
+        // Email channels without an address go to the owner's login email, recorded as the recipient
+        channel = data.type === 'email' && !data.config?.email
+          ? { ...data, config: { ...data.config, email: delivery.recipient } }
+          : data;
+      }
+
+      await attempt(delivery, channel);
+    }
+  }
+
+  return { dispatch, deliver, retryDue };
+}
+
+module.exports = {
+  SEVERITIES,
+  createNotifier,
+};
@@ -0,0 +1,189 @@
+/**
+ * Page issues: JavaScript errors, failed requests and broken images
+ *
+ * Collected on every page of a visual check:
+ *
+ *   page_error      uncaught exception            { message }
+ *   console_error   console.error / CSP reports   { message, url }
+ *   http_error      subresource answered 4xx/5xx  { url, status, resource_type }
+ *   request_failed  DNS, blocked, reset, …        { url, error, resource_type }
+ *   broken_image    <img> that failed to load     { url }
+ *
+ * Each issue carries the journey step it happened on and a fingerprint that
+ * ignores query strings and numbers, so "checkout.js?v=123 → 404" is the same
+ * issue run after run. A run's issues are compared with the previous run's;
+ * new fingerprints raise an alert.
+ *
+ * Stores list noisy third parties on `stores.ignored_domains` (jsonb array of
+ * hostnames); a domain also covers its subdomains.
+ */
+
+// We abort these ourselves (see openCheckPage)
+const BLOCKED_TYPES = ['font', 'media'];
+// A broken first-party script, stylesheet or API call usually breaks the page
+const CRITICAL_TYPES = ['document', 'script', 'stylesheet', 'xhr', 'fetch'];
+
+const MAX_ISSUES = 200;
+const MAX_MESSAGE_LENGTH = 300;
+
+function normalizeIgnoredDomains(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((d) => String(d).trim().toLowerCase().replace(/^\*?\./, '').replace(/^https?:\/\//, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function matchesDomain(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function isIgnored(url, ignoredDomains) {
+  const host = url && hostOf(url);
+  return Boolean(host) && ignoredDomains.some((d) => matchesDomain(host, d));
+}
+
+// "www.shop.com" and "cdn.shop.com" belong to shop.com
+function isFirstParty(url, siteHost) {
+  const host = url && hostOf(url);
+  const site = siteHost.replace(/^www\./, '');
+  return Boolean(host) && matchesDomain(host, site);
+}
+
+function stripQuery(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return url;
+  }
+}
+
+function fingerprint(issue) {
+  const subject = issue.url ? stripQuery(issue.url) : '';
+  const detail = issue.status ?? issue.error ?? (issue.message || '').replace(/\d+/g, '0');
+  return [issue.kind, issue.step, issue.device, subject, detail].join('|');
+}
+
+/**
+ * Starts collecting issues on `page`. `setStep(step)` before each journey step,
+ * `checkImages()` once a step has settled, `issues()` at the end.
+ */
+function startIssueCapture(page, { siteUrl, ignoredDomains = [] }) {
+  const siteHost = hostOf(siteUrl) ?? '';
+  const collected = new Map();
+  let step = { name: null, device: null };
+
+  const add = (issue) => {
+    if (collected.size >= MAX_ISSUES) return;
+    if (isIgnored(issue.url, ignoredDomains)) return;
+    if (issue.message) issue.message = issue.message.slice(0, MAX_MESSAGE_LENGTH);
+    const entry = {
+      ...issue,
+      step: step.name,
+      device: step.device,
+      first_party: issue.url ? isFirstParty(issue.url, siteHost) : null,
+    };
+    entry.fingerprint = fingerprint(entry);
+    if (!collected.has(entry.fingerprint)) collected.set(entry.fingerprint, entry);
+  };
+
+  page.on('pageerror', (err) => add({ kind: 'page_error', message: err?.message || String(err) }));
+
+  page.on('console', (msg) => {
+    // "Failed to load resource" duplicates what the network listeners below record
+    if (msg.type() !== 'error' || msg.text().startsWith('Failed to load resource')) return;
+    add({ kind: 'console_error', message: msg.text(), url: msg.location()?.url || null });
+  });
+
+  page.on('requestfailed', (req) => {
+    const type = req.resourceType();
+    if (BLOCKED_TYPES.includes(type)) return;
+    // The main document failing is the navigate step's error, not a page issue
+    if (req.isNavigationRequest() && req.frame() === page.mainFrame()) return;
+    add({ kind: 'request_failed', url: req.url(), error: req.failure()?.errorText || 'failed', resource_type: type });
+  });
+
+  page.on('response', (res) => {
+    const status = res.status();
+    if (status < 400) return;
+    const req = res.request();
+    if (req.isNavigationRequest() && req.frame() === page.mainFrame()) return;
+    add({ kind: 'http_error', url: res.url(), status, resource_type: req.resourceType() });
+  });
+
+  return {
+    setStep({ name, device }) {
+      step = { name, device };
+    },
+
+    async checkImages() {
+      // Lazy images that never entered the viewport aren't `complete`, so they don't count
+      const broken = await page.evaluate(() => [...document.images]
+        .filter((img) => img.complete && img.naturalWidth === 0 && (img.currentSrc || img.src))
+        .map((img) => img.currentSrc || img.src)
+        .filter((src) => !src.startsWith('data:')));
+      for (const url of new Set(broken)) add({ kind: 'broken_image', url });
+    },
+
+    issues() {
+      return [...collected.values()];
+    },
+  };
+}
+
+/**
+ * Issues whose fingerprint wasn't in the previous run, and how bad they are.
+ *
+ * @returns {{ added: Array, severity: 'red' | 'yellow' | null }}
+ */
+function compareIssues(previous, current) {
+  const known = new Set((previous ?? []).map((i) => i.fingerprint));
+  const added = current.filter((i) => !known.has(i.fingerprint));
+
+  // Uncaught exceptions carry no URL to tell our store's from a third party's, so they stay yellow
+  const red = added.some((i) =>
+    i.first_party && (i.kind === 'http_error' || i.kind === 'request_failed') && CRITICAL_TYPES.includes(i.resource_type));
+
+  return { added, severity: added.length ? (red ? 'red' : 'yellow') : null };
+}
+
+function fileName(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const file = pathname.split('/').filter(Boolean).pop();
+    return file ? `${file} (${hostname})` : hostname;
+  } catch {
+    return url;
+  }
+}
+
+// "checkout.js (shop.com) now returns 404"
+function describeIssue(issue) {
+  switch (issue.kind) {
+    case 'http_error':
+      return `${fileName(issue.url)} now returns ${issue.status}`;
+    case 'request_failed':
+      return `${fileName(issue.url)} failed to load (${issue.error})`;
+    case 'broken_image':
+      return `Broken image: ${fileName(issue.url)}`;
+    case 'page_error':
+      return `JavaScript error: ${issue.message}`;
+    default:
+      return `Console error: ${issue.message}`;
+  }
+}
+
+module.exports = {
+  normalizeIgnoredDomains,
+  startIssueCapture,
+  compareIssues,
+  describeIssue,
+};
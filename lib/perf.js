@@ -0,0 +1,184 @@
+/**
+ * Page performance capture
+ *
+ * Measured on every `navigate` step of a visual check, from the browser's own
+ * timing APIs and the DevTools network events — not wall-clock time, so the
+ * settle delay before screenshots and in-cycle retries don't inflate it:
+ *
+ *   ttfb_ms, fcp_ms, dom_content_loaded_ms, load_ms   Navigation / paint timing
+ *   lcp_ms, cls                                        Core Web Vitals (observed until collection)
+ *   tbt_ms                                             Sum of long-task time over 50ms (lab approximation)
+ *   transfer_bytes, requests                           Page weight; requests_by_type splits both
+ *                                                      per resource type (document, script, image, …)
+ *
+ * Fonts and media are blocked during checks (see openCheckPage), so they are
+ * not part of the page weight.
+ *
+ * `findRegressions` compares a sample with the median of a store step's recent
+ * samples: a metric regresses when it is `factor` times its baseline and worse
+ * by at least the metric's minimum delta (so 40ms → 90ms TTFB stays quiet).
+ */
+
+// Metric → smallest absolute increase worth alerting on
+const METRICS = {
+  ttfb_ms: 300,
+  fcp_ms: 500,
+  dom_content_loaded_ms: 500,
+  load_ms: 1000,
+  lcp_ms: 500,
+  cls: 0.05,
+  tbt_ms: 200,
+  transfer_bytes: 250 * 1024,
+  requests: 20,
+};
+
+const LABELS = {
+  ttfb_ms: 'Time to first byte',
+  fcp_ms: 'First Contentful Paint',
+  dom_content_loaded_ms: 'DOM content loaded',
+  load_ms: 'Page load',
+  lcp_ms: 'Largest Contentful Paint',
+  cls: 'Cumulative Layout Shift',
+  tbt_ms: 'Total Blocking Time',
+  transfer_bytes: 'Page weight',
+  requests: 'Requests',
+};
+
+// Installed before any page script runs, so buffered entries are never missed
+function installObservers() {
+  const perf = { lcp: null, cls: 0, tbt: 0 };
+  window.__yayaPerf = perf;
+
+  const observe = (type, onEntry) => {
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(onEntry)).observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('largest-contentful-paint', (e) => { perf.lcp = e.startTime; });
+  observe('layout-shift', (e) => { if (!e.hadRecentInput) perf.cls += e.value; });
+  observe('longtask', (e) => { perf.tbt += Math.max(0, e.duration - 50); });
+}
+
+/**
+ * Starts measuring `page`. Call `reset()` right before a navigation and
+ * `collect()` once it has settled.
+ */
+async function startPerfCapture(page) {
+  await page.evaluateOnNewDocument(installObservers);
+
+  const client = await page.createCDPSession();
+  await client.send('Network.enable');
+
+  let types = new Map();
+  let byType = {};
+
+  client.on('Network.responseReceived', ({ requestId, type }) => types.set(requestId, (type || 'Other').toLowerCase()));
+  client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    const type = types.get(requestId) ?? 'other';
+    byType[type] ??= { requests: 0, bytes: 0 };
+    byType[type].requests++;
+    byType[type].bytes += encodedDataLength || 0;
+  });
+
+  return {
+    reset() {
+      types = new Map();
+      byType = {};
+    },
+
+    async collect() {
+      const timing = await page.evaluate(() => {
+        const nav = performance.getEntriesByType('navigation')[0];
+        const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+        const perf = window.__yayaPerf || {};
+        const ms = (v) => (v > 0 ? Math.round(v) : null);
+        return {
+          ttfb_ms: ms(nav?.responseStart),
+          fcp_ms: ms(fcp?.startTime),
+          dom_content_loaded_ms: ms(nav?.domContentLoadedEventEnd),
+          load_ms: ms(nav?.loadEventEnd),
+          lcp_ms: ms(perf.lcp),
+          cls: Math.round((perf.cls || 0) * 1000) / 1000,
+          tbt_ms: Math.round(perf.tbt || 0),
+        };
+      });
+
+      const totals = Object.values(byType);
+      return {
+        ...timing,
+        transfer_bytes: totals.reduce((sum, t) => sum + t.bytes, 0),
+        requests: totals.reduce((sum, t) => sum + t.requests, 0),
+        requests_by_type: byType,
+      };
+    },
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Rolling baseline: per-metric median of the given samples (null when none has it).
+ */
+function perfBaseline(samples) {
+  const baseline = {};
+  for (const metric of Object.keys(METRICS)) {
+    const values = samples.map((s) => s[metric]).filter((v) => v != null);
+    baseline[metric] = values.length ? median(values) : null;
+  }
+  return baseline;
+}
+
+/**
+ * @returns {Array<{ metric, value, baseline, ratio }>}
+ */
+function findRegressions(sample, history, { factor, minSamples }) {
+  if (history.length < minSamples) return [];
+
+  const baseline = perfBaseline(history);
+  const regressions = [];
+
+  for (const [metric, minDelta] of Object.entries(METRICS)) {
+    const value = sample[metric];
+    const base = baseline[metric];
+    if (value == null || base == null) continue;
+    if (value < base * factor || value - base < minDelta) continue;
+
+    regressions.push({
+      metric,
+      value,
+      baseline: base,
+      ratio: base > 0 ? Math.round((value / base) * 10) / 10 : null,
+    });
+  }
+
+  return regressions;
+}
+
+function formatMetric(metric, value) {
+  if (value == null) return 'n/a';
+  if (metric === 'cls') return String(Math.round(value * 1000) / 1000);
+  if (metric === 'requests') return String(Math.round(value));
+  if (metric === 'transfer_bytes') return `${(value / (1024 * 1024)).toFixed(2)} MB`;
+  return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+}
+
+// "Largest Contentful Paint: 2.1 s → 4.6 s (2.2× the usual)"
+function describeRegression({ metric, value, baseline, ratio }) {
+  const label = LABELS[metric] ?? metric;
+  return `${label}: ${formatMetric(metric, baseline)} → ${formatMetric(metric, value)}${ratio ? ` (${ratio}× the usual)` : ''}`;
+}
+
+module.exports = {
+  METRICS,
+  startPerfCapture,
+  perfBaseline,
+  findRegressions,
+  describeRegression,
+};
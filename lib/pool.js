@@ -0,0 +1,90 @@
+/**
+ * Bounded-concurrency worker pool
+ *
+ * Runs `worker(item, signal)` over `items` with at most `concurrency` in flight.
+ * Each item gets its own timeout; when it fires, `signal` is aborted so the
+ * worker can tear down (e.g. close its Puppeteer page) and the lane moves on.
+ *
+ * A worker resolving `false` counts as a failure, `null` as skipped (e.g. the
+ * store was claimed by another worker), anything else as a success.
+ * Once `shouldStart` says no, the remaining items are skipped.
+ */
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${Math.round(ms / 1000)}s`);
+    this.name = 'TimeoutError';
+  }
+}
+
+function withTimeout(promise, ms, controller) {
+  if (!ms) return promise;
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(ms));
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @returns {Promise<{ total: number, succeeded: number, failed: number, timedOut: number, skipped: number, durationMs: number }>}
+ */
+async function runPool(items, worker, {
+  concurrency = 1,
+  timeoutMs = 0,
+  shouldStart = () => true,
+  onError = () => {},
+} = {}) {
+  const startedAt = Date.now();
+  const summary = { total: items.length, succeeded: 0, failed: 0, timedOut: 0, skipped: 0, durationMs: 0 };
+
+  let next = 0;
+  let started = 0;
+  let stopped = false;
+
+  async function lane() {
+    while (next < items.length) {
+      const item = items[next++];
+
+      if (stopped || !shouldStart(item, started)) {
+        stopped = true;
+        summary.skipped++;
+        continue;
+      }
+
+      started++;
+      const controller = new AbortController();
+
+      try {
+        const ok = await withTimeout(
+          Promise.resolve().then(() => worker(item, controller.signal)),
+          timeoutMs,
+          controller
+        );
+        if (ok === false) summary.failed++;
+        else if (ok === null) summary.skipped++;
+        else summary.succeeded++;
+      } catch (err) {
+        summary.failed++;
+        if (err instanceof TimeoutError) summary.timedOut++;
+        onError(item, err);
+      }
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+
+  summary.durationMs = Date.now() - startedAt;
+  return summary;
+}
+
+module.exports = {
+  TimeoutError,
+  runPool,
+};
@@ -0,0 +1,112 @@
+/**
+ * Changed-region detection
+ *
+ * Turns a pixelmatch diff image into distinct changed regions. Diff pixels are
+ * bucketed into a coarse grid, neighbouring cells (with a one-cell gap) are
+ * merged, and each cluster becomes a bounding box:
+ *
+ *   { x, y, width, height, pixels, percentage, aboveFold }
+ *
+ * Regions are what alert severity is weighted on: a change above the fold (the
+ * first viewport) counts `aboveFoldWeight` times as much as one further down.
+ */
+
+const CELL_SIZE = 16;
+
+// pixelmatch paints real differences in pure diffColor (red by default);
+// unchanged pixels are greyscale and anti-aliasing is yellow
+function isDiffPixel(data, i) {
+  return data[i] === 255 && data[i + 1] === 0 && data[i + 2] === 0;
+}
+
+/**
+ * @param {PNG} diffPng  pixelmatch output
+ * @param {object} options
+ * @param {number} options.foldY          page height of the first viewport
+ * @param {number} options.comparedPixels pixels that took part in the comparison
+ * @returns {object[]} regions, largest first
+ */
+function detectRegions(diffPng, { foldY, comparedPixels, cellSize = CELL_SIZE }) {
+  const { width, height, data } = diffPng;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = new Uint32Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cellSize) * cols;
+    for (let x = 0; x < width; x++) {
+      if (isDiffPixel(data, (y * width + x) * 4)) cells[row + Math.floor(x / cellSize)]++;
+    }
+  }
+
+  const visited = new Uint8Array(cols * rows);
+  const regions = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (!cells[start] || visited[start]) continue;
+
+    // Flood-fill over occupied cells, bridging gaps of one empty cell
+    const stack = [start];
+    visited[start] = 1;
+    let minCol = Infinity, maxCol = -1, minRow = Infinity, maxRow = -1, pixels = 0;
+
+    while (stack.length) {
+      const cell = stack.pop();
+      const col = cell % cols;
+      const row = (cell - col) / cols;
+
+      pixels += cells[cell];
+      minCol = Math.min(minCol, col);
+      maxCol = Math.max(maxCol, col);
+      minRow = Math.min(minRow, row);
+      maxRow = Math.max(maxRow, row);
+
+      for (let dr = -2; dr <= 2; dr++) {
+        for (let dc = -2; dc <= 2; dc++) {
+          const r = row + dr;
+          const c = col + dc;
+          if (r < 0 || c < 0 || r >= rows || c >= cols) continue;
+          const next = r * cols + c;
+          if (cells[next] && !visited[next]) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    const x = minCol * cellSize;
+    const y = minRow * cellSize;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxCol + 1) * cellSize) - x,
+      height: Math.min(height, (maxRow + 1) * cellSize) - y,
+      pixels,
+      percentage: Math.round((pixels / comparedPixels) * 10000) / 100,
+      aboveFold: y < foldY,
+    });
+  }
+
+  return regions.sort((a, b) => b.pixels - a.pixels);
+}
+
+/**
+ * Diff percentage with above-the-fold pixels weighted up. A region straddling
+ * the fold is weighted by the share of its box that sits above it.
+ */
+function weightedDiffPercentage(regions, { foldY, comparedPixels, aboveFoldWeight = 1 }) {
+  let weighted = 0;
+
+  for (const region of regions) {
+    const aboveShare = Math.max(0, Math.min(region.height, foldY - region.y)) / region.height;
+    weighted += region.pixels * (aboveShare * aboveFoldWeight + (1 - aboveShare));
+  }
+
+  return Math.round((weighted / comparedPixels) * 10000) / 100;
+}
+
+module.exports = {
+  detectRegions,
+  weightedDiffPercentage,
+};
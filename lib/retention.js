@@ -0,0 +1,120 @@
+/**
+ * Screenshot & diff retention
+ *
+ * Every run uploads to `screenshots/{storeId}/` and significant comparisons to
+ * `diffs/{storeId}/`. Per store, retention keeps:
+ *
+ *   - anything referenced: current and approved baselines, and every image
+ *     attached to an alert (before / after / diff)
+ *   - the newest `keepScreenshots` routine images of each series (one series
+ *     per step + device, screenshots and diffs separately)
+ *   - anything younger than the grace period, so a check that is still
+ *     running never loses the images it hasn't recorded yet
+ *
+ * and deletes the rest. Objects of stores that no longer exist are deleted
+ * outright (still subject to the grace period).
+ *
+ * Policies are per plan (`stores.plan`); RETENTION_POLICIES (JSON) overrides
+ * or adds plans, e.g. {"pro": {"keepScreenshots": 200}}.
+ */
+
+const DEFAULT_POLICIES = {
+  free: { keepScreenshots: 20 },
+  pro: { keepScreenshots: 100 },
+  business: { keepScreenshots: 500 },
+};
+
+const DEFAULT_PLAN = 'free';
+
+const PREFIXES = ['screenshots/', 'diffs/'];
+
+// Run timestamps look like 2026-02-26T10-15-00-000Z (see processStore)
+const TIMESTAMP_PATTERN = /\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z/;
+
+function loadPolicies(json) {
+  if (!json) return DEFAULT_POLICIES;
+  const overrides = JSON.parse(json);
+  const policies = { ...DEFAULT_POLICIES };
+  for (const [plan, policy] of Object.entries(overrides)) {
+    policies[plan] = { ...DEFAULT_POLICIES[plan], ...policy };
+  }
+  return policies;
+}
+
+function policyFor(policies, plan) {
+  return policies[plan] ?? policies[DEFAULT_PLAN] ?? DEFAULT_POLICIES[DEFAULT_PLAN];
+}
+
+// "screenshots/{id}/checkout-mobile-<ts>.png" → "screenshots/{id}/checkout-mobile-.png"
+function seriesOf(key) {
+  return key.replace(TIMESTAMP_PATTERN, '');
+}
+
+/**
+ * Decides what to delete among one store's objects.
+ *
+ * @param {Array<{ key, size, lastModified }>} objects
+ * @param {{ keep: Set<string>, keepScreenshots: number, graceMs: number, now?: number }} options
+ *   `keep` holds referenced keys; pass keepScreenshots 0 for a deleted store.
+ * @returns {{ remove: Array, kept: number, bytes: number }}
+ */
+function planRetention(objects, { keep, keepScreenshots, graceMs, now = Date.now() }) {
+  const series = new Map();
+  for (const object of objects) {
+    const name = seriesOf(object.key);
+    if (!series.has(name)) series.set(name, []);
+    series.get(name).push(object);
+  }
+
+  const remove = [];
+  for (const list of series.values()) {
+    // Newest first; the key's timestamp breaks ties between objects written in the same second
+    list.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified) || b.key.localeCompare(a.key));
+
+    let routine = 0;
+    for (const object of list) {
+      if (keep.has(object.key)) continue;
+      const fresh = now - new Date(object.lastModified).getTime() < graceMs;
+      if (routine++ < keepScreenshots || fresh) continue;
+      remove.push(object);
+    }
+  }
+
+  return {
+    remove,
+    kept: objects.length - remove.length,
+    bytes: remove.reduce((sum, object) => sum + (object.size ?? 0), 0),
+  };
+}
+
+/**
+ * Deleted-store cleanup treats every store missing from the list as gone, so it
+ * only runs when the list holds as many stores as the table (`total`, from an
+ * exact count). Throws otherwise.
+ */
+function assertCompleteStoreList(loaded, total) {
+  if (total == null || total > loaded) {
+    throw new Error(`Store list incomplete (${loaded} of ${total ?? 'unknown'} loaded) — skipped deleted-store cleanup`);
+  }
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  PREFIXES,
+  loadPolicies,
+  policyFor,
+  planRetention,
+  assertCompleteStoreList,
+  formatBytes,
+};
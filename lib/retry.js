@@ -0,0 +1,40 @@
+/**
+ * Retries with backoff
+ *
+ * Re-runs `fn` after each delay in `delaysMs` for as long as `shouldRetry(err)`
+ * says the failure is transient. The wait ends early when `signal` aborts, so
+ * a store-level timeout still ends the check on time.
+ */
+
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+async function withRetries(fn, {
+  delaysMs = [],
+  shouldRetry = () => true,
+  signal = null,
+  onRetry = () => {},
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= delaysMs.length || signal?.aborted || !shouldRetry(err)) throw err;
+      onRetry(err, attempt + 1, delaysMs[attempt]);
+      await wait(delaysMs[attempt], signal);
+      if (signal?.aborted) throw err;
+    }
+  }
+}
+
+module.exports = {
+  withRetries,
+};
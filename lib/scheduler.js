@@ -0,0 +1,70 @@
+/**
+ * Per-store visual check scheduling
+ *
+ * The visual cron fires every tick. Each tick we work out which stores are due
+ * from `last_checked` + `check_interval_minutes`, order them by how overdue they
+ * are and only take as many as fit in the tick's time budget across all
+ * concurrent pages. Whatever doesn't
+ * fit stays due and is picked up first on the next tick.
+ */
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+function intervalMs(store, defaultIntervalMinutes = DEFAULT_INTERVAL_MINUTES) {
+  const minutes = Number(store.check_interval_minutes) > 0
+    ? Number(store.check_interval_minutes)
+    : defaultIntervalMinutes;
+  return minutes * 60 * 1000;
+}
+
+/**
+ * How long past its due time a store is (ms). Never-checked stores are
+ * infinitely overdue so new signups get their baseline straight away.
+ */
+function overdueMs(store, now, defaultIntervalMinutes) {
+  if (!store.last_checked) return Infinity;
+  const lastChecked = new Date(store.last_checked).getTime();
+  if (Number.isNaN(lastChecked)) return Infinity;
+  return now - (lastChecked + intervalMs(store, defaultIntervalMinutes));
+}
+
+/**
+ * Plans one visual cycle.
+ *
+ * `last_checked` is written when a check finishes, so a store is treated as due
+ * up to half a tick early — otherwise every check would slip by one tick.
+ *
+ * @returns {{ due: object[], selected: object[], deferred: object[] }}
+ */
+function planCycle(stores, {
+  now = Date.now(),
+  tickMs,
+  budgetMs,
+  avgCheckMs,
+  concurrency = 1,
+  defaultIntervalMinutes = DEFAULT_INTERVAL_MINUTES,
+}) {
+  const grace = tickMs / 2;
+
+  const due = stores
+    .map((store) => ({ store, overdue: overdueMs(store, now, defaultIntervalMinutes) }))
+    .filter(({ overdue }) => overdue >= -grace)
+    .sort((a, b) => {
+      if (b.overdue !== a.overdue) return b.overdue - a.overdue;
+      return intervalMs(a.store, defaultIntervalMinutes) - intervalMs(b.store, defaultIntervalMinutes);
+    })
+    .map(({ store }) => store);
+
+  const capacity = Math.max(1, Math.floor(budgetMs / Math.max(avgCheckMs, 1)) * concurrency);
+
+  return {
+    due,
+    selected: due.slice(0, capacity),
+    deferred: due.slice(capacity),
+  };
+}
+
+module.exports = {
+  DEFAULT_INTERVAL_MINUTES,
+  planCycle,
+};
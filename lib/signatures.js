@@ -0,0 +1,67 @@
+/**
+ * Alert signatures
+ *
+ * A rejected alert mutes its signature: later alerts for the same store step
+ * with the same signature are logged but not raised. The signature is built
+ * from the largest changed regions snapped to a coarse grid (plus the height
+ * change, if any), so the same rotating banner or ad slot maps to the same
+ * signature run after run, while a change somewhere else does not.
+ *
+ * Content alerts (lib/content.js) are signed by the changes that raised them,
+ * so rejecting "Price changed to $1.90" mutes exactly that; page-issue alerts
+ * (lib/page-issues.js) by the fingerprints of the issues they report.
+ */
+
+const crypto = require('crypto');
+
+const GRID = 64;
+const SIGNATURE_REGIONS = 5;
+
+const snap = (v) => Math.round(v / GRID);
+
+function alertSignature(step, { regions = [], heightChange = null } = {}) {
+  const parts = regions
+    .slice(0, SIGNATURE_REGIONS)
+    .map((r) => `${snap(r.x)},${snap(r.y)},${snap(r.width)},${snap(r.height)}`)
+    .sort();
+
+  if (heightChange) parts.push(`h${Math.round(heightChange.deltaPercentage / 5)}`);
+  if (!parts.length) return null;
+
+  return crypto
+    .createHash('sha1')
+    .update(`${step}|${parts.join('|')}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function contentSignature(step, changes = []) {
+  const parts = changes
+    .filter((c) => c.alerting)
+    .map((c) => [c.kind, c.element ?? c.rule ?? '', c.change, c.after ?? ''].join(':'))
+    .sort();
+
+  if (!parts.length) return null;
+
+  return crypto
+    .createHash('sha1')
+    .update(`${step}|content|${parts.join('|')}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function issuesSignature(step, issues = []) {
+  if (!issues.length) return null;
+
+  return crypto
+    .createHash('sha1')
+    .update(`${step}|issues|${issues.map((i) => i.fingerprint).sort().join('|')}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+module.exports = {
+  alertSignature,
+  contentSignature,
+  issuesSignature,
+};
@@ -0,0 +1,262 @@
+/**
+ * Screenshot storage adapters
+ *
+ *   s3    — R2 or any S3-compatible provider (default)
+ *   local — plain files on disk, for development and offline pipeline runs
+ *
+ * Every adapter exposes the same interface:
+ *
+ *   put(key, buffer, { contentType, cacheControl }) → public URL
+ *   get(key)                                       → Buffer, or null if missing
+ *   publicUrl(key)                                 → public URL for a key
+ *   keyFromUrl(url)                                → key, or null if not ours
+ *   list(prefix)                                   → [{ key, size, lastModified }] under prefix
+ *   listPrefixes(prefix)                           → immediate "sub-directories" of prefix
+ *   delete(keys)                                   → number of objects deleted
+ *
+ * Keys are resolved by stripping the configured public base URL, so the base
+ * can carry its own path prefix and nothing depends on the URL's shape. URLs
+ * written under an earlier base (the original r2.dev host, or a domain used
+ * before a switch) keep resolving through `legacyPublicUrls`.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+
+const BACKENDS = ['s3', 'local'];
+
+// The public base every stored URL used before it became configurable
+const LEGACY_R2_PUBLIC_URL = 'https://pub-9b659287417143e2a5f69b43384c4039.r2.dev';
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+function keyResolver(publicBaseUrls) {
+  const bases = publicBaseUrls.filter(Boolean).map((url) => `${trimSlash(url)}/`);
+
+  return (url) => {
+    if (!url) return null;
+    const base = bases.find((b) => url.startsWith(b));
+    if (base) return decodeURIComponent(url.slice(base.length));
+    // Bare keys (no scheme) are already keys
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) return url.replace(/^\/+/, '');
+    return null;
+  };
+}
+
+function createS3Storage({
+  endpoint,
+  region = 'auto',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl = LEGACY_R2_PUBLIC_URL,
+  legacyPublicUrls = [],
+  forcePathStyle = false,
+}) {
+  if (!bucket) throw new Error('Storage bucket is not configured');
+
+  const s3 = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: { accessKeyId, secretAccessKey },
+  });
+
+  const toUrl = (key) => `${trimSlash(publicUrl)}/${key}`;
+
+  return {
+    backend: 's3',
+    bucket,
+
+    async put(key, buffer, { contentType, cacheControl } = {}) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: cacheControl,
+        })
+      );
+      return toUrl(key);
+    },
+
+    async get(key) {
+      try {
+        const { Body } = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        const chunks = [];
+        for await (const chunk of Body) chunks.push(Buffer.from(chunk));
+        return Buffer.concat(chunks);
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+
+    async list(prefix) {
+      const objects = [];
+      let token;
+      do {
+        const page = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken: token }));
+        for (const { Key, Size, LastModified } of page.Contents ?? []) {
+          objects.push({ key: Key, size: Size ?? 0, lastModified: LastModified });
+        }
+        token = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (token);
+      return objects;
+    },
+
+    async listPrefixes(prefix) {
+      const prefixes = [];
+      let token;
+      do {
+        const page = await s3.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          Delimiter: '/',
+          ContinuationToken: token,
+        }));
+        prefixes.push(...(page.CommonPrefixes ?? []).map((p) => p.Prefix));
+        token = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (token);
+      return prefixes;
+    },
+
+    async delete(keys) {
+      let deleted = 0;
+      for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+        const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+        const { Deleted = [], Errors = [] } = await s3.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: false },
+        }));
+        if (Errors.length) {
+          throw new Error(`Failed to delete ${Errors.length} object(s), first: ${Errors[0].Key} (${Errors[0].Code})`);
+        }
+        deleted += Deleted.length;
+      }
+      return deleted;
+    },
+
+    publicUrl: toUrl,
+    keyFromUrl: keyResolver([publicUrl, ...legacyPublicUrls, LEGACY_R2_PUBLIC_URL]),
+  };
+}
+
+function createLocalStorage({ dir, publicUrl, legacyPublicUrls = [] }) {
+  const root = path.resolve(dir);
+  const base = publicUrl || `file://${root}`;
+  const toUrl = (key) => `${trimSlash(base)}/${key}`;
+
+  // Keys come from our own code, but never let one escape the storage root
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(`${root}${path.sep}`)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    backend: 'local',
+    bucket: root,
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return toUrl(key);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async list(prefix) {
+      const objects = [];
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const file = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(file);
+            continue;
+          }
+          const key = path.relative(root, file).split(path.sep).join('/');
+          if (!key.startsWith(prefix)) continue;
+          const { size, mtime } = await fs.stat(file);
+          objects.push({ key, size, lastModified: mtime });
+        }
+      };
+
+      // Walk from the deepest directory the prefix names, then filter on the full prefix
+      const dir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      await walk(dir ? resolve(dir) : root);
+      return objects;
+    },
+
+    async listPrefixes(prefix) {
+      try {
+        const entries = await fs.readdir(resolve(prefix), { withFileTypes: true });
+        return entries.filter((e) => e.isDirectory()).map((e) => `${prefix}${e.name}/`);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+    },
+
+    async delete(keys) {
+      let deleted = 0;
+      for (const key of keys) {
+        try {
+          await fs.unlink(resolve(key));
+          deleted++;
+        } catch (err) {
+          if (err.code !== 'ENOENT') throw err;
+        }
+      }
+      return deleted;
+    },
+
+    publicUrl: toUrl,
+    keyFromUrl: keyResolver([base, ...legacyPublicUrls]),
+  };
+}
+
+function createStorage({ backend = 's3', ...options } = {}) {
+  switch (backend) {
+    case 's3':
+    case 'r2':
+      return createS3Storage(options);
+    case 'local':
+      return createLocalStorage(options);
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  createStorage,
+};
@@ -0,0 +1,111 @@
+/**
+ * Viewport / device profiles
+ *
+ * Configured on `stores.viewports` (jsonb) as preset names and/or custom
+ * profiles; the journey runs once per profile on its own page:
+ *
+ *   ["desktop", "mobile"]
+ *   ["desktop", { "name": "small-phone", "width": 360, "height": 640, "deviceScaleFactor": 2, "isMobile": true, "hasTouch": true }]
+ *
+ * Every profile gets its own screenshot, baseline and diff. Desktop keeps the
+ * plain step name as its baseline key (so existing baselines carry over);
+ * other devices use `step@device`.
+ */
+
+const BOT_TOKEN = '(compatible; YAYA Uptime Bot/1.0; +https://yayauptime.com/bot)';
+
+const DESKTOP_USER_AGENT = `Mozilla/5.0 ${BOT_TOKEN}`;
+const TABLET_USER_AGENT =
+  `Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 ${BOT_TOKEN}`;
+const MOBILE_USER_AGENT =
+  `Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Mobile/15E148 ${BOT_TOKEN}`;
+
+const PRESETS = {
+  desktop: {
+    name: 'desktop',
+    width: 1280,
+    height: 800,
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    userAgent: DESKTOP_USER_AGENT,
+  },
+  tablet: {
+    name: 'tablet',
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: TABLET_USER_AGENT,
+  },
+  mobile: {
+    name: 'mobile',
+    width: 390,
+    height: 844,
+    // Phones are DPR 3, but 2 keeps full-page captures to a sane size while still catching hi-DPI breakage
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: MOBILE_USER_AGENT,
+  },
+};
+
+const DEFAULT_VIEWPORTS = [PRESETS.desktop];
+
+function normalizeViewports(raw) {
+  if (!Array.isArray(raw) || !raw.length) return DEFAULT_VIEWPORTS;
+
+  const seen = new Set();
+
+  return raw.map((entry, i) => {
+    const base = typeof entry === 'string' ? PRESETS[entry] : PRESETS[entry?.preset || entry?.name];
+    if (typeof entry === 'string' && !base) {
+      throw new Error(`Viewport ${i + 1}: unknown preset "${entry}" (expected ${Object.keys(PRESETS).join(', ')})`);
+    }
+
+    const fallback = entry?.isMobile ? PRESETS.mobile : PRESETS.desktop;
+    const profile = { ...(base || fallback), ...(typeof entry === 'object' ? entry : {}) };
+    profile.name = String(profile.name || `viewport-${i + 1}`).replace(/[^a-z0-9_-]/gi, '-').toLowerCase();
+    profile.width = Math.floor(Number(profile.width));
+    profile.height = Math.floor(Number(profile.height));
+    profile.deviceScaleFactor = Number(profile.deviceScaleFactor) || 1;
+    if (!(profile.width > 0 && profile.height > 0)) throw new Error(`Viewport ${i + 1}: invalid size`);
+
+    if (seen.has(profile.name)) throw new Error(`Viewport ${i + 1}: duplicate name "${profile.name}"`);
+    seen.add(profile.name);
+
+    return profile;
+  });
+}
+
+/**
+ * Sets size, DPR, touch emulation and user agent for a profile.
+ */
+async function applyViewport(page, profile) {
+  await page.setUserAgent(profile.userAgent);
+  await page.setViewport({
+    width: profile.width,
+    height: profile.height,
+    deviceScaleFactor: profile.deviceScaleFactor,
+    isMobile: !!profile.isMobile,
+    hasTouch: !!profile.hasTouch,
+  });
+}
+
+function baselineKey(stepName, device = 'desktop') {
+  return device === 'desktop' ? stepName : `${stepName}@${device}`;
+}
+
+// Height of the first screen in screenshot pixels
+function foldHeight(profile) {
+  return Math.round(profile.height * profile.deviceScaleFactor);
+}
+
+module.exports = {
+  PRESETS,
+  normalizeViewports,
+  applyViewport,
+  baselineKey,
+  foldHeight,
+};
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { once } = require('node:events');
+
+const { createChannels, signWebhook } = require('../lib/channels');
+
+// A local stand-in for the customer's endpoint: records one request, answers 200
+async function startReceiver(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+const message = {
+  type: 'visual',
+  severity: 'yellow',
+  subject: 'Visual change on shop.example',
+  text: 'Homepage changed by 4.2%',
+  link: 'https://app.example/stores/1',
+  store: { id: 1, url: 'shop.example' },
+};
+
+test('webhook channel posts a signed JSON payload', async (t) => {
+  const receiver = await startReceiver(t);
+  const channels = createChannels({});
+
+  await channels.webhook({ url: receiver.url, secret: 's3cret' }, message);
+
+  assert.strictEqual(receiver.requests.length, 1);
+  const [{ headers, body }] = receiver.requests;
+  assert.strictEqual(headers['content-type'], 'application/json');
+  assert.strictEqual(headers['x-yaya-event'], 'visual');
+  assert.strictEqual(headers['x-yaya-signature'], signWebhook('s3cret', headers['x-yaya-timestamp'], body));
+
+  const payload = JSON.parse(body);
+  assert.strictEqual(payload.event, 'visual');
+  assert.strictEqual(payload.severity, 'yellow');
+  assert.deepStrictEqual(payload.store, message.store);
+});
+
+test('webhook channel sends no signature without a secret', async (t) => {
+  const receiver = await startReceiver(t);
+
+  await createChannels({}).webhook({ url: receiver.url }, message);
+
+  assert.strictEqual(receiver.requests[0].headers['x-yaya-signature'], undefined);
+});
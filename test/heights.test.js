@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PNG } = require('pngjs');
+
+const { findChangedBand, describeHeightChange, alignHeights, alignRegions } = require('../lib/heights');
+
+const WIDTH = 64;
+
+// A page whose every row is distinguishable; `band` inserts `height` flat rows at `y`
+function page(height, band = null) {
+  const png = new PNG({ width: WIDTH, height });
+  for (let y = 0; y < height; y++) {
+    const source = band && y >= band.y ? (y < band.y + band.height ? -1 : y - band.height) : y;
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      const value = source < 0 ? 30 : (source * 37 + x * 11) % 255;
+      png.data[i] = value;
+      png.data[i + 1] = (value * 3) % 255;
+      png.data[i + 2] = 255 - value;
+      png.data[i + 3] = 255;
+    }
+  }
+  return png;
+}
+
+test('findChangedBand locates an inserted band', () => {
+  const { top, baselineBand, currentBand } = findChangedBand(page(400), page(450, { y: 100, height: 50 }));
+
+  assert.strictEqual(top, 100);
+  assert.strictEqual(currentBand.height - baselineBand.height, 50);
+});
+
+test('describeHeightChange reports insertion and removal', () => {
+  const inserted = describeHeightChange(page(400), page(450, { y: 100, height: 50 }));
+  assert.strictEqual(inserted.bandY, 100);
+  assert.strictEqual(inserted.delta, 50);
+  assert.strictEqual(inserted.insertedHeight, 50);
+
+  const removed = describeHeightChange(page(450, { y: 100, height: 50 }), page(400));
+  assert.strictEqual(removed.delta, -50);
+  assert.strictEqual(removed.removedHeight, 50);
+});
+
+test('alignHeights leaves identical rows on both sides of the band', () => {
+  for (const [baseline, current] of [
+    [page(400), page(450, { y: 100, height: 50 })],
+    [page(450, { y: 100, height: 50 }), page(400)],
+  ]) {
+    const aligned = alignHeights(baseline, current, describeHeightChange(baseline, current));
+
+    assert.strictEqual(aligned.baselinePng.height, 400);
+    assert.strictEqual(aligned.newPng.height, 400);
+    assert.ok(aligned.baselinePng.data.equals(aligned.newPng.data));
+  }
+});
+
+test('alignRegions shifts regions below an inserted band and clips the band out', () => {
+  const change = { bandY: 100, delta: 50 };
+  const regions = [
+    { x: 0, y: 10, width: 5, height: 20 },   // above the band
+    { x: 0, y: 500, width: 5, height: 20 },  // below it
+    { x: 0, y: 90, width: 5, height: 100 },  // across it
+    { x: 0, y: 110, width: 5, height: 20 },  // inside it
+  ];
+
+  assert.deepStrictEqual(alignRegions(regions, change), [
+    { x: 0, y: 10, width: 5, height: 20 },
+    { x: 0, y: 450, width: 5, height: 20 },
+    { x: 0, y: 90, width: 5, height: 50 },
+  ]);
+});
+
+test('alignRegions keeps regions as they are when the band was removed', () => {
+  const regions = [{ x: 0, y: 500, width: 5, height: 20 }];
+  assert.deepStrictEqual(alignRegions(regions, { bandY: 100, delta: -50 }), regions);
+});
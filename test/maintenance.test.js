@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeMaintenanceWindows, normalizeQuietHours, activeWindow } = require('../lib/maintenance');
+
+const at = (iso) => new Date(iso);
+const active = (raw, iso) => activeWindow(normalizeMaintenanceWindows(raw), at(iso));
+
+test('one-off window times are wall-clock times in its timezone', () => {
+  const windows = [{ start: '2026-03-01T22:00', end: '2026-03-02T02:00', timezone: 'Europe/Berlin', recapture_baseline: true }];
+
+  // 22:00 in Berlin (CET, UTC+1) is 21:00 UTC
+  assert.strictEqual(active(windows, '2026-03-01T20:59:00Z'), null);
+  const hit = active(windows, '2026-03-01T21:00:00Z');
+  assert.strictEqual(hit.startsAt.toISOString(), '2026-03-01T21:00:00.000Z');
+  assert.strictEqual(hit.endsAt.toISOString(), '2026-03-02T01:00:00.000Z');
+  assert.strictEqual(hit.window.recaptureBaseline, true);
+  assert.strictEqual(active(windows, '2026-03-02T01:00:00Z'), null);
+});
+
+test('one-off times with an offset are taken as given', () => {
+  const windows = [{ start: '2026-03-01T22:00:00Z', end: '2026-03-01T23:00:00Z', timezone: 'Asia/Tokyo' }];
+  assert.ok(active(windows, '2026-03-01T22:30:00Z'));
+});
+
+test('weekly windows follow the local clock across a DST change', () => {
+  const windows = [{ days: ['sun'], from: '01:00', to: '04:00', timezone: 'America/New_York' }];
+
+  // 2026-03-08: US clocks jump from 02:00 EST to 03:00 EDT
+  const springForward = active(windows, '2026-03-08T07:30:00Z');
+  assert.strictEqual(springForward.startsAt.toISOString(), '2026-03-08T06:00:00.000Z'); // 01:00 EST
+  assert.strictEqual(springForward.endsAt.toISOString(), '2026-03-08T08:00:00.000Z');   // 04:00 EDT
+
+  // A week before and after, the same local hours sit at different UTC times
+  assert.strictEqual(active(windows, '2026-03-01T06:30:00Z').startsAt.toISOString(), '2026-03-01T06:00:00.000Z');
+  assert.strictEqual(active(windows, '2026-03-15T05:30:00Z').startsAt.toISOString(), '2026-03-15T05:00:00.000Z');
+  assert.strictEqual(active(windows, '2026-03-15T08:30:00Z'), null);
+});
+
+test('weekly windows past midnight belong to the day they start', () => {
+  const windows = [{ days: ['sat'], from: '23:00', to: '02:00', timezone: 'Europe/Berlin' }];
+
+  // Sunday 01:30 in Berlin (CET) is still Saturday's window
+  const hit = active(windows, '2026-03-01T00:30:00Z');
+  assert.strictEqual(hit.startsAt.toISOString(), '2026-02-28T22:00:00.000Z');
+  assert.strictEqual(hit.endsAt.toISOString(), '2026-03-01T01:00:00.000Z');
+  // Sunday 23:30 is not: the window only starts on Saturdays
+  assert.strictEqual(active(windows, '2026-03-01T22:30:00Z'), null);
+});
+
+test('invalid windows are dropped', () => {
+  assert.deepStrictEqual(normalizeMaintenanceWindows([
+    { start: '2026-03-02T02:00', end: '2026-03-01T22:00' },
+    { from: '25:00', to: '02:00' },
+    { from: '02:00', to: '04:00', timezone: 'Mars/Olympus_Mons' },
+    null,
+  ]), []);
+  assert.deepStrictEqual(normalizeMaintenanceWindows('not a list'), []);
+});
+
+test('quiet hours are one recurring window', () => {
+  const quiet = normalizeQuietHours({ from: '22:00', to: '07:00', timezone: 'Asia/Tokyo' });
+
+  // 23:00 in Tokyo (UTC+9) is 14:00 UTC; quiet until 07:00 Tokyo, 22:00 UTC
+  assert.strictEqual(activeWindow([quiet], at('2026-03-01T14:00:00Z')).endsAt.toISOString(), '2026-03-01T22:00:00.000Z');
+  assert.strictEqual(activeWindow([quiet], at('2026-03-01T22:00:00Z')), null);
+  assert.strictEqual(normalizeQuietHours({ start: '2026-03-01T22:00', end: '2026-03-02T07:00' }), null);
+  assert.strictEqual(normalizeQuietHours(null), null);
+});
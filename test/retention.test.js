@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { DEFAULT_POLICIES, loadPolicies, policyFor, planRetention, assertCompleteStoreList } = require('../lib/retention');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+// `count` homepage screenshots, one per hour, the newest an hour before NOW
+function screenshots(count, { storeId = 'store-1', series = 'homepage' } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(NOW - (i + 1) * HOUR);
+    const timestamp = date.toISOString().replace(/[:.]/g, '-');
+    return { key: `screenshots/${storeId}/${series}-${timestamp}.png`, size: 1000, lastModified: date };
+  });
+}
+
+const plan = (objects, options) => planRetention(objects, { keep: new Set(), graceMs: 0, now: NOW, ...options });
+
+test('keeps the newest keepScreenshots objects of each series', () => {
+  const objects = [...screenshots(5), ...screenshots(3, { series: 'cart' })];
+  const { remove, kept, bytes } = plan(objects, { keepScreenshots: 2 });
+
+  assert.deepStrictEqual(remove.map((o) => o.key).sort(), [
+    ...objects.slice(2, 5).map((o) => o.key),
+    objects[7].key,
+  ].sort());
+  assert.strictEqual(kept, 4);
+  assert.strictEqual(bytes, 4000);
+});
+
+test('never removes referenced keys, and they do not use up the limit', () => {
+  const objects = screenshots(5);
+  const baseline = objects[4].key;
+  const { remove } = plan(objects, { keep: new Set([baseline]), keepScreenshots: 2 });
+
+  assert.ok(!remove.some((o) => o.key === baseline));
+  assert.deepStrictEqual(remove.map((o) => o.key), [objects[2].key, objects[3].key]);
+});
+
+test('keeps everything inside the grace period', () => {
+  const objects = screenshots(5);
+  const { remove } = plan(objects, { keepScreenshots: 0, graceMs: 3.5 * HOUR });
+
+  assert.deepStrictEqual(remove.map((o) => o.key), [objects[3].key, objects[4].key]);
+});
+
+test('a deleted store (keepScreenshots 0, nothing referenced) loses everything past the grace period', () => {
+  const objects = screenshots(4);
+  assert.strictEqual(plan(objects, { keepScreenshots: 0 }).remove.length, 4);
+});
+
+test('policies are per plan, overridable, and fall back to free', () => {
+  const policies = loadPolicies('{"pro": {"keepScreenshots": 200}, "agency": {"keepScreenshots": 1000}}');
+
+  assert.strictEqual(policyFor(policies, 'pro').keepScreenshots, 200);
+  assert.strictEqual(policyFor(policies, 'agency').keepScreenshots, 1000);
+  assert.strictEqual(policyFor(policies, 'business').keepScreenshots, DEFAULT_POLICIES.business.keepScreenshots);
+  assert.strictEqual(policyFor(policies, undefined).keepScreenshots, DEFAULT_POLICIES.free.keepScreenshots);
+  assert.strictEqual(policyFor(loadPolicies(undefined), 'unknown-plan').keepScreenshots, DEFAULT_POLICIES.free.keepScreenshots);
+});
+
+test('deleted-store cleanup refuses an incomplete store list', () => {
+  assert.doesNotThrow(() => assertCompleteStoreList(1500, 1500));
+  assert.throws(() => assertCompleteStoreList(1000, 1500), /incomplete \(1000 of 1500/);
+  assert.throws(() => assertCompleteStoreList(1000, null), /incomplete/);
+});